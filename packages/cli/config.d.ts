@@ -0,0 +1,41 @@
+import type { Loader, Plugin } from 'esbuild';
+
+export interface RyzizConfig {
+  /** Where page.*, api.*, proxy.*, webhooks.*, cron.*, job.* and bulk.* files are scanned */
+  srcDir?: string;
+  /** Build output, also holds the generated firebase.json and the CLI cache */
+  outDir?: string;
+  /** Hosting emulator port, the tunnel forwards to it */
+  port?: number;
+  /** esbuild serve port that pushes reloads to the page during ryziz dev */
+  liveReloadPort?: number;
+  /** Mock Shopify Admin API and OAuth server that ryziz dev --offline starts */
+  mockPort?: number;
+  /** JSON fixtures for the offline mock, mocks/products.json replaces the built-in products */
+  mockDir?: string;
+  /** Defaults to webhooks.api_version of the selected toml, which is kept in sync with this value */
+  apiVersion?: string;
+  paths?: {
+    auth?: string;
+    webhook?: string;
+  };
+  /** Applied to both the web and functions builds */
+  esbuild?: {
+    plugins?: Plugin[];
+    loader?: Record<string, Loader>;
+    define?: Record<string, string>;
+  };
+  /** Defaults for every function, per-route config still overrides memory and timeout */
+  functions?: {
+    region?: string;
+    memory?: '128MiB' | '256MiB' | '512MiB' | '1GiB' | '2GiB' | '4GiB' | '8GiB' | '16GiB' | '32GiB';
+    timeout?: number;
+  };
+  /** A custom adapter is a module path like './src/storage.js' whose default export implements get, set, delete, find and list */
+  sessionStorage?: {
+    adapter?: 'firestore' | 'memory' | 'sqlite' | 'postgres' | (string & {});
+    [option: string]: unknown;
+  };
+}
+
+export function defineConfig(config: RyzizConfig): RyzizConfig;
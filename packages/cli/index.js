@@ -1,14 +1,29 @@
 #!/usr/bin/env node
 
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
 import { Command } from 'commander';
-import { select } from '@inquirer/prompts';
+import { select, search } from '@inquirer/prompts';
 import { ListrInquirerPromptAdapter } from '@listr2/prompt-adapter-inquirer';
 import buildFrontend from './src/build.frontend.js';
-import buildBackend from './src/build.backend.js';
-import deployShopify, { scanShopifyConfigs, writeCache, readShopifyEnv } from './src/deploy.shopify.js';
+import buildBackend, { scanWebhookFiles, scanProxyFiles, scanCronFiles } from './src/build.backend.js';
+import buildTesting, { getTestDir } from './src/build.testing.js';
+import deployShopify, { diffShopifyConfig, isAppRegistered, scanShopifyConfigs, writeCache, writeRegisteredConfig, readShopifyEnv, readApiVersion, convertTopicFormat, listWebhookTopics } from './src/deploy.shopify.js';
+import { readHostingUrl, readProjectId, writeFunctionsEnv, readFunctionsEnv, readRuntimeSecrets, listMissingSecrets, getFunctionsDir } from './src/deploy.firebase.js';
+import triggerWebhook, { createSamplePayload, readFixture } from './src/util.webhook.js';
+import { runCron, formatResult } from './src/util.emulator.js';
+import generateExtension, { listExtensionTypes, getExtensionDir, scanExtensions, writeExtensionsEnv } from './src/util.extension.js';
+import { checkRoutes, checkWebhooks, checkConfigs, checkPorts } from './src/util.doctor.js';
+import generateFile, { getFilePath, toTopic, toWebhookName } from './src/util.generate.js';
+import startTunnel, { listTunnelProviders, getLocalUrl } from './src/util.tunnel.js';
+import startMockShopify, { getMockUrl, MOCK_SHOP, MOCK_SECRET } from './src/util.mock.js';
+import loadConfig from './src/util.config.js';
+import { formatRebuild, formatRestart } from './src/util.watch.js';
 import { runTasks, createTask, sequential, parallel } from './src/util.task.js';
-import { spawnWithCallback } from './src/util.spawn.js';
+import { spawnWithCallback, superviseWithCallback } from './src/util.spawn.js';
 
+const projectConfig = await loadConfig();
 const program = new Command();
 
 program
@@ -20,64 +35,67 @@ program
   .command('dev')
   .description('Development mode')
   .option('--reset', 'Reset Shopify config selection')
-  .option('--use-localhost', 'Skip tunnel, use localhost:8080 (webhooks won\'t work)')
+  .option('--use-localhost', `Skip tunnel, use ${getLocalUrl()} (test webhooks with: ryziz webhook trigger)`)
+  .option('--tunnel <provider>', `Tunnel provider (${listTunnelProviders().filter(p => p !== 'url').join(', ')})`, 'cloudflared')
+  .option('--tunnel-name <name>', 'Named cloudflared tunnel to run')
+  .option('--tunnel-hostname <hostname>', 'Fixed hostname for a named cloudflared tunnel or ngrok domain')
+  .option('--tunnel-url <url>', 'Use an already running tunnel')
+  .option('--offline', 'Run against a local mock of the Shopify Admin API, no Partner app or network needed')
   .action(async (options) => {
-    let tunnelUrl = 'http://localhost:8080';
+    let tunnelUrl = getLocalUrl();
     let selectedConfig = '';
+    let extensions = [];
+    let config = {};
+    let webContext = null;
+    let watchTask = null;
+    let registering = Promise.resolve();
+    let appFiles = null;
 
-    await runTasks([
-      createTask('Select config', (task) => {
-        let configs = [];
-        let fromCache = false;
-
-        return sequential(task, [
-          createTask('Scan configs', async () => {
-            const result = await scanShopifyConfigs(options.reset);
-            configs = result.configs;
-            fromCache = result.fromCache;
+    const report = (line) => {
+      if (watchTask) watchTask.output = line;
+    };
+    const writeEnv = async () => {
+      const { SHOPIFY_API_SECRET, ...env } = config;
+      env.SHOPIFY_HOST_NAME = tunnelUrl.replace(/^https?:\/\//, '');
+      if (options.offline) env.SHOPIFY_MOCK_URL = getMockUrl();
+      writeFunctionsEnv(env, { SHOPIFY_API_SECRET, ...readRuntimeSecrets({ dev: true }) });
+      await writeExtensionsEnv(tunnelUrl);
+    };
+    const updateApp = () => {
+      // Queued so a burst of new webhook files or a tunnel restart deploys one app version at a time
+      registering = registering
+        .then(async () => {
+          if (await isAppRegistered(tunnelUrl, selectedConfig)) return;
+          await registerApp(tunnelUrl, selectedConfig);
+          report(`✔ App updated for ${tunnelUrl}`);
+        })
+        .catch((error) => report(`✖ App update failed: ${error.message}`));
+    };
+    const hasAppFilesChanged = async () => {
+      // Only webhook topics and proxy routes reach the toml, other rebuilds leave the app as it is
+      const files = JSON.stringify([(await scanWebhookFiles()).map(w => w.topic).sort(), (await scanProxyFiles()).length > 0]);
+      const changed = appFiles !== null && files !== appFiles;
+      appFiles = files;
+      return changed;
+    };
 
-            if (configs.length === 0) {
-              throw new Error('No Shopify config found. Try running: npm run link');
-            }
-          }),
-          createTask('Choose config', async (task) => {
-            if (configs.length === 1) {
-              selectedConfig = configs[0].value;
-              return;
-            }
-
-            selectedConfig = await task.prompt(ListrInquirerPromptAdapter).run(select, {
-              message: 'Select Shopify config',
-              choices: configs.map(c => ({
-                name: `${c.label} (${c.name})`,
-                value: c.value
-              }))
-            });
-            writeCache({ shopifyConfig: selectedConfig });
-          }),
-          createTask('Done', () => {
-            task.title = 'Config selected';
-            task.output = fromCache
-              ? `${selectedConfig} (cached, use --reset to change)`
-              : selectedConfig;
-          })
-        ]);
-      }, {
-        rendererOptions: {
-          outputBar: Infinity,
-          persistentOutput: true
-        }
+    await runTasks([
+      createSelectConfigTask(options, (filename) => {
+        selectedConfig = filename;
       }),
       createTask('Dev', (task) => {
         return sequential(task, [
           createTask('Build', (task) => {
             return parallel(task, [
               createTask('Setup environment', (task) => {
-                let config = {};
-
                 return sequential(task, [
                   createTask('Load config', async () => {
                     config = readShopifyEnv(selectedConfig);
+                    extensions = await scanExtensions();
+
+                    if (options.offline) {
+                      config.SHOPIFY_API_SECRET = MOCK_SECRET;
+                    }
                   }),
                   createTask('Fetch secrets', (task) => {
                     return parallel(task, [
@@ -98,60 +116,68 @@ program
                             }
                           }
                         });
+                      }, {
+                        enabled: () => !options.offline
                       }),
                       createTask('Create tunnel', async () => {
-                        await spawnWithCallback('npx', [
-                          '--yes',
-                          'cloudflared',
-                          'tunnel',
-                          '--url',
-                          'http://localhost:8080'
-                        ], {
-                          onLine(line, { resolve, reject }) {
-                            if (line.includes('.trycloudflare.com')) {
-                              const match = line.match(/(https:\/\/[^\s]+\.trycloudflare\.com)/);
-                              if (match) {
-                                tunnelUrl = match[1];
-                                resolve();
-                              }
-                            }
+                        const provider = options.tunnelUrl ? 'url' : options.tunnel;
 
-                            if (line.includes('ERR') && (line.includes('429') || line.includes('Too Many Requests'))) {
-                              reject(new Error('Tunnel rate limited. Use --use-localhost flag'));
-                            }
+                        if (!listTunnelProviders().includes(provider)) {
+                          throw new Error(`Unknown tunnel provider ${provider}. Available: ${listTunnelProviders().join(', ')}`);
+                        }
+                        if (provider === 'cloudflared-named' && !(options.tunnelName && options.tunnelHostname)) {
+                          throw new Error('Named cloudflared tunnels need --tunnel-name and --tunnel-hostname');
+                        }
+                        if (provider === 'url' && !options.tunnelUrl) {
+                          throw new Error('The url tunnel needs --tunnel-url');
+                        }
+
+                        tunnelUrl = await startTunnel(provider, {
+                          url: options.tunnelUrl?.replace(/\/$/, ''),
+                          name: options.tunnelName,
+                          hostname: options.tunnelHostname,
+                          onRestart: (event) => report(formatRestart('Tunnel', event)),
+                          onReady: async (url) => {
+                            tunnelUrl = url;
+                            await writeEnv();
+                            report(`✔ Tunnel restarted at ${url}`);
+                            updateApp();
                           }
                         });
                       }, {
-                        enabled: () => !options.useLocalhost
+                        enabled: () => !options.useLocalhost && !options.offline
                       })
                     ]);
                   }),
                   createTask('Write .env', async () => {
-                    const fs = await import('fs');
-                    const path = await import('path');
-
-                    config.SHOPIFY_HOST_NAME = tunnelUrl.replace(/^https?:\/\//, '');
-
-                    const envContent = Object.entries(config)
-                      .map(([key, value]) => `${key}=${value}`)
-                      .join('\n');
-
-                    const envPath = path.default.join(process.cwd(), '.ryziz/functions/.env');
-                    fs.default.writeFileSync(envPath, envContent);
+                    await writeEnv();
                   })
                 ]);
               }),
               createTask('Build web', async () => {
-                await buildFrontend({ watch: true });
+                webContext = await buildFrontend({
+                  watch: true,
+                  apiKey: readShopifyEnv(selectedConfig).SHOPIFY_API_KEY,
+                  liveReloadUrl: `http://127.0.0.1:${projectConfig.liveReloadPort}`,
+                  mockUrl: options.offline && getMockUrl(),
+                  onRebuild: async (result) => report(await formatRebuild('Web', result))
+                });
               }),
               createTask('Setup functions', (task) => {
                 return sequential(task, [
                   createTask('Build functions', async () => {
-                    await buildBackend({ watch: true });
+                    await buildBackend({
+                      watch: true,
+                      onRebuild: async (result) => {
+                        report(await formatRebuild('Functions', result));
+                        // New webhook or proxy files change the toml, so the app is updated without restarting dev
+                        if (result.errors.length === 0 && await hasAppFilesChanged() && watchTask && !options.offline) updateApp();
+                      }
+                    });
                   }),
                   createTask('Install packages', async () => {
-                    await spawnWithCallback('npm', ['install'], {
-                      cwd: '.ryziz/functions'
+                    await spawnWithCallback('npm', ['install', ...(options.offline ? ['--offline'] : [])], {
+                      cwd: getFunctionsDir()
                     });
                   })
                 ]);
@@ -161,11 +187,13 @@ program
           createTask('Start', (task) => {
             return parallel(task, [
               createTask('Start emulators', async () => {
-                await spawnWithCallback('npx', [
+                await superviseWithCallback('npx', [
                   'firebase',
                   'emulators:start'
                 ], {
-                  cwd: '.ryziz/functions',
+                  cwd: getFunctionsDir(),
+                  onRestart: (event) => report(formatRestart('Emulators', event)),
+                  onReady: () => report('✔ Emulators restarted'),
                   onLine(line, { resolve, reject }) {
                     if (line.includes('All emulators ready!')) {
                       resolve();
@@ -177,21 +205,555 @@ program
                 });
               }),
               createTask('Register app', async () => {
-                await deployShopify(tunnelUrl, selectedConfig);
+                await registerApp(tunnelUrl, selectedConfig);
+              }, {
+                enabled: () => !options.offline,
+                // Every deploy creates an app version, a stable tunnel only needs one until the toml changes
+                skip: async () => await isAppRegistered(tunnelUrl, selectedConfig) && 'App config unchanged'
+              }),
+              createTask('Start mock Shopify', async () => {
+                await startMockShopify({ apiKey: config.SHOPIFY_API_KEY, appUrl: tunnelUrl });
+              }, {
+                enabled: () => options.offline
+              }),
+              createTask('Start live reload', async () => {
+                // The bundle is public through the tunnel anyway, and quick tunnels change origin on restart
+                await webContext.serve({
+                  host: '127.0.0.1',
+                  port: projectConfig.liveReloadPort,
+                  cors: { origin: '*' }
+                });
+              })
+            ]);
+          }),
+          createTask('Start extensions', async () => {
+            // --no-update keeps the app URLs pointing at our tunnel instead of the Shopify CLI one
+            await superviseWithCallback('npx', [
+              'shopify',
+              'app',
+              'dev',
+              '--config',
+              selectedConfig,
+              '--no-update',
+              ...(options.useLocalhost ? ['--use-localhost'] : [])
+            ], {
+              onRestart: (event) => report(formatRestart('Extensions', event)),
+              onReady: () => report('✔ Extensions restarted'),
+              onLine(line, { resolve }) {
+                if (line.includes('Ready, watching for changes') || line.includes('Preview URL')) {
+                  resolve();
+                }
+              }
+            });
+          }, {
+            enabled: () => extensions.length > 0 && !options.offline
+          }),
+          createTask('Done', () => {
+            task.title = 'Dev ready';
+            // Offline there is no admin to open the app from, installing on the mock shop starts it instead
+            task.output = options.offline
+              ? `${tunnelUrl}${projectConfig.paths.auth}?shop=${MOCK_SHOP}`
+              : tunnelUrl;
+          }),
+          createTask('Watch changes', (task) => {
+            watchTask = task;
+            task.output = 'Rebuilds, restarts and app updates show up here';
+            // Never resolves, the session ends with Ctrl+C
+            return new Promise(() => {});
+          }, {
+            rendererOptions: {
+              outputBar: 20
+            }
+          })
+        ]);
+      }, {
+        rendererOptions: {
+          outputBar: Infinity,
+          persistentOutput: true
+        }
+      })
+    ]);
+  });
+
+program
+  .command('deploy')
+  .description('Production deploy')
+  .option('--reset', 'Reset Shopify config selection')
+  .option('--dry-run', 'Print planned toml changes and deploy targets')
+  .action(async (options) => {
+    const targets = ['hosting', 'functions', 'firestore:rules'];
+    let selectedConfig = '';
+    let appUrl = '';
+    let config = {};
+    let plan = '';
+
+    await runTasks([
+      createSelectConfigTask(options, (filename) => {
+        selectedConfig = filename;
+      }),
+      createTask('Deploy', (task) => {
+        return sequential(task, [
+          createTask('Load config', async () => {
+            appUrl = readHostingUrl();
+
+            if (!appUrl) {
+              throw new Error('No Firebase project found. Check .firebaserc');
+            }
+
+            config = readShopifyEnv(selectedConfig);
+          }),
+          createTask('Plan changes', async () => {
+            const diff = await diffShopifyConfig(appUrl, selectedConfig);
+            plan = `${selectedConfig}:\n${diff}\n\nTargets: ${targets.join(', ')}, shopify app`;
+          }, {
+            enabled: () => options.dryRun
+          }),
+          createTask('Build', (task) => {
+            return parallel(task, [
+              createTask('Build web', async () => {
+                await buildFrontend({ apiKey: config.SHOPIFY_API_KEY });
+              }),
+              createTask('Build functions', async () => {
+                await buildBackend();
+              })
+            ]);
+          }, {
+            enabled: () => !options.dryRun
+          }),
+          createTask('Install packages', async () => {
+            // Firebase loads the functions locally to discover triggers, so they need node_modules
+            await spawnWithCallback('npm', ['install'], {
+              cwd: getFunctionsDir()
+            });
+          }, {
+            enabled: () => !options.dryRun
+          }),
+          createTask('Setup environment', (task) => {
+            return sequential(task, [
+              createTask('Load API secret', async () => {
                 await spawnWithCallback('npx', [
                   'shopify',
                   'app',
-                  'deploy',
+                  'env',
+                  'show',
                   '--config',
-                  selectedConfig,
-                  '--force'
-                ]);
+                  selectedConfig
+                ], {
+                  onLine(line, { resolve }) {
+                    const match = line.match(/SHOPIFY_API_SECRET=(.+)/);
+                    if (match) {
+                      config.SHOPIFY_API_SECRET = match[1].trim();
+                      resolve();
+                    }
+                  }
+                });
+              }),
+              createTask('Push secrets', async () => {
+                const missing = await listMissingSecrets();
+                if (missing.length > 0) {
+                  throw new Error(`${missing.join(', ')} not set in the shell or Secret Manager. Run once with: ${missing.map(key => `${key}=...`).join(' ')} ryziz deploy`);
+                }
+
+                // Secrets missing from the shell keep their Secret Manager value from an earlier deploy
+                const secrets = { SHOPIFY_API_SECRET: config.SHOPIFY_API_SECRET, ...readRuntimeSecrets() };
+
+                for (const [name, value] of Object.entries(secrets)) {
+                  await spawnWithCallback('npx', [
+                    'firebase',
+                    'functions:secrets:set',
+                    name,
+                    '--data-file',
+                    '-',
+                    '--non-interactive'
+                  ], {
+                    cwd: projectConfig.outDir,
+                    input: value
+                  });
+                }
+              }),
+              createTask('Write .env', async () => {
+                const { SHOPIFY_API_SECRET, ...env } = config;
+                env.SHOPIFY_HOST_NAME = appUrl.replace(/^https?:\/\//, '');
+                writeFunctionsEnv(env);
+                await writeExtensionsEnv(appUrl);
               })
             ]);
+          }, {
+            enabled: () => !options.dryRun
+          }),
+          createTask('Deploy firebase', async () => {
+            await spawnWithCallback('npx', [
+              'firebase',
+              'deploy',
+              '--only',
+              targets.join(','),
+              '--non-interactive'
+            ], {
+              cwd: projectConfig.outDir
+            });
+          }, {
+            enabled: () => !options.dryRun
+          }),
+          createTask('Register app', async () => {
+            await registerApp(appUrl, selectedConfig);
+          }, {
+            enabled: () => !options.dryRun
           }),
           createTask('Done', () => {
-            task.title = 'Dev ready';
-            task.output = tunnelUrl;
+            task.title = options.dryRun ? 'Deploy planned' : 'Deploy completed';
+            task.output = plan || appUrl;
+          })
+        ]);
+      }, {
+        rendererOptions: {
+          outputBar: Infinity,
+          persistentOutput: true
+        }
+      })
+    ]);
+  });
+
+program
+  .command('doctor')
+  .description('Check routes, webhooks, configs and emulator ports')
+  .action(async () => {
+    const issues = [];
+    const createCheckTask = (title, check) => createTask(title, async (task) => {
+      const found = await check();
+      issues.push(...found);
+      task.output = found.length === 0 ? 'OK' : `${found.length} found`;
+    });
+
+    await runTasks([
+      createTask('Doctor', (task) => {
+        return sequential(task, [
+          createCheckTask('Check routes', checkRoutes),
+          createCheckTask('Check webhooks', checkWebhooks),
+          createCheckTask('Check configs', checkConfigs),
+          createCheckTask('Check ports', checkPorts),
+          createTask('Done', () => {
+            task.title = issues.length === 0 ? 'No problems found' : `${issues.length} problems found`;
+            task.output = issues.map(i => `${i.level === 'error' ? '✖' : '⚠'} ${i.message}`).join('\n');
+          })
+        ]);
+      }, {
+        rendererOptions: {
+          outputBar: Infinity,
+          persistentOutput: true
+        }
+      })
+    ]);
+
+    // Warnings don't fail CI, only errors do
+    if (issues.some(i => i.level === 'error')) {
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('test [files...]')
+  .description('Run test/*.test.js offline against in-process API, webhook and page handlers')
+  .action(async (files) => {
+    let testFiles = files;
+    let failed = false;
+
+    await runTasks([
+      createTask('Test', (task) => {
+        return sequential(task, [
+          createTask('Find tests', async () => {
+            if (testFiles.length === 0) {
+              testFiles = await glob('test/**/*.test.js');
+            }
+            if (testFiles.length === 0) {
+              throw new Error('No tests found in test/*.test.js');
+            }
+          }),
+          createTask('Build test bundle', async () => {
+            await buildTesting();
+          }),
+          createTask('Run tests', async (task) => {
+            // The toml is optional, tests only need the scopes and API version when a project has one
+            const { configs } = await scanShopifyConfigs();
+            const shopifyEnv = configs.length > 0 ? readShopifyEnv(configs[0].value) : {};
+
+            await spawnWithCallback('node', ['--test', '--test-reporter=spec', ...testFiles], {
+              env: { ...process.env, ...shopifyEnv, RYZIZ_TEST_DIR: getTestDir() },
+              onLine(line) {
+                task.output = line;
+              }
+            }).catch(() => {
+              failed = true;
+            });
+          }, {
+            // Reporter lines stay once the run ends, so Done only sets the title
+            rendererOptions: {
+              outputBar: Infinity,
+              persistentOutput: true
+            }
+          }),
+          createTask('Done', () => {
+            task.title = failed ? 'Tests failed' : 'Tests passed';
+          })
+        ]);
+      }, {
+        rendererOptions: {
+          outputBar: Infinity,
+          persistentOutput: true
+        }
+      })
+    ]);
+
+    if (failed) {
+      process.exitCode = 1;
+    }
+  });
+
+const generate = program
+  .command('generate')
+  .description('Scaffold project files');
+
+generate
+  .command('extension <type> [name]')
+  .description(`Create a Shopify app extension in extensions/ (${listExtensionTypes().join(', ')})`)
+  .action(async (type, name = `${type}-extension`) => {
+    let extensionDir = '';
+
+    await runTasks([
+      createTask('Generate', (task) => {
+        return sequential(task, [
+          createTask('Check extension', async () => {
+            const types = listExtensionTypes();
+
+            if (!types.includes(type)) {
+              throw new Error(`Unknown extension type ${type}. Available: ${types.join(', ')}`);
+            }
+            if (fs.existsSync(getExtensionDir(name))) {
+              throw new Error(`Extension already exists: ${path.relative(process.cwd(), getExtensionDir(name))}`);
+            }
+          }),
+          createTask('Copy template', async () => {
+            extensionDir = generateExtension(type, name);
+          }),
+          createTask('Install packages', async () => {
+            await spawnWithCallback('npm', ['install'], {
+              cwd: extensionDir
+            });
+          }, {
+            enabled: () => fs.existsSync(path.join(getExtensionDir(name), 'package.json'))
+          }),
+          createTask('Done', () => {
+            task.title = 'Extension created';
+            task.output = `${path.relative(process.cwd(), extensionDir)}\nStart it with: ryziz dev`;
+          })
+        ]);
+      }, {
+        rendererOptions: {
+          outputBar: Infinity,
+          persistentOutput: true
+        }
+      })
+    ]);
+  });
+
+generate
+  .command('page <name>')
+  .description('Create a page, e.g. products/:id')
+  .action(async (name) => {
+    await runTasks([
+      createGenerateTask('page', () => ({ name }))
+    ]);
+  });
+
+generate
+  .command('api <name>')
+  .description('Create an API route, e.g. products/:id')
+  .action(async (name) => {
+    await runTasks([
+      createGenerateTask('api', () => ({ name }))
+    ]);
+  });
+
+generate
+  .command('webhook [topic]')
+  .description('Create a webhook handler for a topic valid in the toml api_version')
+  .option('--reset', 'Reset Shopify config selection')
+  .action(async (topic, options) => {
+    let selectedConfig = '';
+    let selectedTopic = '';
+
+    await runTasks([
+      createSelectConfigTask(options, (filename) => {
+        selectedConfig = filename;
+      }),
+      createGenerateTask('webhook', () => ({
+        name: toWebhookName(selectedTopic),
+        values: { TOPIC: selectedTopic }
+      }), [
+        createTask('Choose topic', async (task) => {
+          const apiVersion = readApiVersion(selectedConfig);
+          const topics = listWebhookTopics(apiVersion);
+
+          if (topic) {
+            selectedTopic = toTopic(topic);
+
+            if (!topics.includes(selectedTopic)) {
+              throw new Error(`Unknown topic ${topic} for api_version ${apiVersion}`);
+            }
+            return;
+          }
+
+          selectedTopic = await task.prompt(ListrInquirerPromptAdapter).run(search, {
+            message: `Select webhook topic (api_version ${apiVersion})`,
+            source: (term = '') => topics
+              .filter(t => t.includes(toTopic(term)))
+              .map(t => ({ name: convertTopicFormat(t), value: t }))
+          });
+        })
+      ])
+    ]);
+  });
+
+generate
+  .command('cron <name>')
+  .description('Create a scheduled function')
+  .option('--schedule <schedule>', 'Cloud Scheduler schedule', 'every day 00:00')
+  .action(async (name, options) => {
+    await runTasks([
+      createGenerateTask('cron', () => ({
+        name,
+        values: { SCHEDULE: options.schedule }
+      }), [
+        createTask('Check name', async () => {
+          // Cron names become function names, which only allow letters, digits and dashes
+          if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(name)) {
+            throw new Error(`Cron name must be kebab-case, got ${name}`);
+          }
+        })
+      ])
+    ]);
+  });
+
+const webhook = program
+  .command('webhook')
+  .description('Webhook tools');
+
+webhook
+  .command('trigger [topic]')
+  .description('Send a signed sample webhook to the local emulator')
+  .option('--fixture <file>', 'Load payload from a JSON file')
+  .option('--shop <domain>', 'Shop domain to send', MOCK_SHOP)
+  .option('--url <url>', 'Webhook endpoint', `${getLocalUrl()}${projectConfig.paths.webhook}`)
+  .action(async (topic, options) => {
+    let selectedTopic = '';
+    let secret = '';
+    let apiVersion = '';
+    let result = null;
+
+    await runTasks([
+      createTask('Webhook', (task) => {
+        return sequential(task, [
+          createTask('Load secret', async () => {
+            const env = readFunctionsEnv();
+            secret = env.SHOPIFY_API_SECRET;
+            apiVersion = env.SHOPIFY_API_VERSION;
+
+            if (!secret) {
+              throw new Error('No SHOPIFY_API_SECRET found. Try running: ryziz dev');
+            }
+          }),
+          createTask('Choose topic', async (task) => {
+            const topics = [...new Set((await scanWebhookFiles()).map(w => toTopic(w.topic)))];
+
+            if (topics.length === 0) {
+              throw new Error(`No webhook handlers found in ${projectConfig.srcDir}/webhooks.*.js`);
+            }
+
+            if (topic) {
+              selectedTopic = toTopic(topic);
+
+              if (!topics.includes(selectedTopic)) {
+                throw new Error(`No handler for ${topic}. Available: ${topics.join(', ')}`);
+              }
+              return;
+            }
+
+            selectedTopic = await task.prompt(ListrInquirerPromptAdapter).run(select, {
+              message: 'Select webhook topic',
+              choices: topics.map(t => ({ name: t, value: t }))
+            });
+          }),
+          createTask('Send webhook', async () => {
+            result = await triggerWebhook({
+              topic: convertTopicFormat(selectedTopic) ?? selectedTopic,
+              payload: options.fixture
+                ? readFixture(options.fixture)
+                : createSamplePayload(selectedTopic, options.shop),
+              shop: options.shop,
+              url: options.url,
+              secret,
+              apiVersion
+            });
+          }),
+          createTask('Done', () => {
+            task.title = result.status < 300 ? 'Webhook delivered' : 'Webhook failed';
+            task.output = formatResult(result);
+          })
+        ]);
+      }, {
+        rendererOptions: {
+          outputBar: Infinity,
+          persistentOutput: true
+        }
+      })
+    ]);
+  });
+
+const cron = program
+  .command('cron')
+  .description('Cron tools');
+
+cron
+  .command('run [name]')
+  .description('Run a cron once against the local emulator')
+  .action(async (name) => {
+    let selectedCron = '';
+    let result = null;
+
+    await runTasks([
+      createTask('Cron', (task) => {
+        return sequential(task, [
+          createTask('Choose cron', async (task) => {
+            const crons = (await scanCronFiles()).map(c => c.name);
+
+            if (crons.length === 0) {
+              throw new Error(`No crons found in ${projectConfig.srcDir}/cron.*.js`);
+            }
+
+            if (name) {
+              if (!crons.includes(name)) {
+                throw new Error(`No cron named ${name}. Available: ${crons.join(', ')}`);
+              }
+              selectedCron = name;
+              return;
+            }
+
+            selectedCron = await task.prompt(ListrInquirerPromptAdapter).run(select, {
+              message: 'Select cron',
+              choices: crons.map(c => ({ name: c, value: c }))
+            });
+          }),
+          createTask('Run cron', async () => {
+            const projectId = readProjectId();
+
+            if (!projectId) {
+              throw new Error('No Firebase project found. Check .firebaserc');
+            }
+
+            result = await runCron(selectedCron, projectId);
+          }),
+          createTask('Done', () => {
+            task.title = result.status < 300 ? 'Cron completed' : 'Cron failed';
+            task.output = formatResult(result);
           })
         ]);
       }, {
@@ -204,3 +766,93 @@ program
   });
 
 program.parse();
+
+function createSelectConfigTask(options, onSelect) {
+  return createTask('Select config', (task) => {
+    let configs = [];
+    let fromCache = false;
+    let selectedConfig = '';
+
+    return sequential(task, [
+      createTask('Scan configs', async () => {
+        const result = await scanShopifyConfigs(options.reset);
+        configs = result.configs;
+        fromCache = result.fromCache;
+
+        if (configs.length === 0) {
+          throw new Error('No Shopify config found. Try running: npm run link');
+        }
+      }),
+      createTask('Choose config', async (task) => {
+        if (configs.length === 1) {
+          selectedConfig = configs[0].value;
+          return;
+        }
+
+        selectedConfig = await task.prompt(ListrInquirerPromptAdapter).run(select, {
+          message: 'Select Shopify config',
+          choices: configs.map(c => ({
+            name: `${c.label} (${c.name})`,
+            value: c.value
+          }))
+        });
+        writeCache({ shopifyConfig: selectedConfig });
+      }),
+      createTask('Done', () => {
+        onSelect(selectedConfig);
+        task.title = 'Config selected';
+        task.output = fromCache
+          ? `${selectedConfig} (cached, use --reset to change)`
+          : selectedConfig;
+      })
+    ]);
+  }, {
+    rendererOptions: {
+      outputBar: Infinity,
+      persistentOutput: true
+    }
+  });
+}
+
+function createGenerateTask(kind, getFile, tasks = []) {
+  return createTask('Generate', (task) => {
+    let file = '';
+
+    return sequential(task, [
+      ...tasks,
+      createTask('Check file', async () => {
+        const existing = getFilePath(kind, getFile().name);
+
+        if (fs.existsSync(existing)) {
+          throw new Error(`File already exists: ${path.relative(process.cwd(), existing)}`);
+        }
+      }),
+      createTask('Write file', async () => {
+        const { name, values } = getFile();
+        file = generateFile(kind, name, values);
+      }),
+      createTask('Done', () => {
+        task.title = 'File created';
+        task.output = path.relative(process.cwd(), file);
+      })
+    ]);
+  }, {
+    rendererOptions: {
+      outputBar: Infinity,
+      persistentOutput: true
+    }
+  });
+}
+
+async function registerApp(appUrl, selectedConfig) {
+  await deployShopify(appUrl, selectedConfig);
+  await spawnWithCallback('npx', [
+    'shopify',
+    'app',
+    'deploy',
+    '--config',
+    selectedConfig,
+    '--force'
+  ]);
+  writeRegisteredConfig(selectedConfig);
+}
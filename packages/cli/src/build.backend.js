@@ -3,34 +3,71 @@ import path from 'path';
 import { glob } from 'glob';
 import * as esbuild from 'esbuild';
 import { fileURLToPath } from 'url';
+import { getConfig } from './util.config.js';
+import { listRuntimeSecrets } from './deploy.firebase.js';
+import { toTopic } from './util.generate.js';
+import rebuildStatusPlugin from './util.watch.js';
 
-const RYZIZ_DIR = '.ryziz';
-const OUTDIR = path.join(RYZIZ_DIR, 'functions');
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ADAPTER_PACKAGES = {
+  sqlite: 'better-sqlite3',
+  postgres: 'pg'
+};
+const DEFAULT_WEBHOOKS = [
+  {
+    file: '@ryziz-shopify/functions/src/functions.bulk.js',
+    topic: 'BULK_OPERATIONS_FINISH',
+    handler: 'handleBulkOperationFinish'
+  },
+  {
+    file: '@ryziz-shopify/functions/src/functions.compliance.js',
+    topic: 'APP_UNINSTALLED',
+    handler: 'handleAppUninstalled'
+  },
+  {
+    file: '@ryziz-shopify/functions/src/functions.compliance.js',
+    topic: 'SHOP_REDACT',
+    handler: 'handleShopRedact'
+  },
+  {
+    file: '@ryziz-shopify/functions/src/functions.compliance.js',
+    topic: 'CUSTOMERS_REDACT',
+    handler: 'handleCustomersRedact'
+  },
+  {
+    file: '@ryziz-shopify/functions/src/functions.compliance.js',
+    topic: 'CUSTOMERS_DATA_REQUEST',
+    handler: 'handleCustomersDataRequest'
+  }
+];
 
 export default async function build(options = {}) {
   const watch = options.watch || false;
 
-  const functionsPackagePath = path.join(__dirname, '../../functions/package.json');
-  const functionsPackage = JSON.parse(fs.readFileSync(functionsPackagePath, 'utf8'));
+  const functionsPackage = readFunctionsPackage();
+  const config = getConfig();
 
   const buildOptions = {
     entryPoints: {
       index: '@ryziz-shopify/functions/src/functions.entry.js'
     },
     bundle: true,
-    outdir: OUTDIR,
+    outdir: path.join(config.outDir, 'functions'),
     format: 'cjs',
-    external: Object.keys(functionsPackage.dependencies || {}),
+    external: getFunctionsExternal(),
     platform: 'node',
     minify: !watch,
     sourcemap: watch,
+    logLevel: options.onRebuild ? 'silent' : 'warning',
+    loader: config.esbuild.loader,
+    define: config.esbuild.define,
     plugins: [
       cleanDistPlugin(),
-      virtualRoutesPlugin(),
-      virtualWebhooksPlugin(),
-      generatePackageJsonPlugin(functionsPackage),
-      copyFirebaseConfigPlugin()
+      ...createVirtualPlugins(config),
+      ...config.esbuild.plugins,
+      generatePackageJsonPlugin(functionsPackage, config),
+      copyFirebaseConfigPlugin(config),
+      ...(options.onRebuild ? [rebuildStatusPlugin(options.onRebuild)] : [])
     ]
   };
 
@@ -38,18 +75,44 @@ export default async function build(options = {}) {
     const ctx = await esbuild.context(buildOptions);
     await ctx.rebuild();
     await ctx.watch();
+    return ctx;
   } else {
     await esbuild.build(buildOptions);
   }
 }
 
+export function getFunctionsExternal() {
+  const functionsPackage = readFunctionsPackage();
+  return [
+    ...Object.keys(functionsPackage.dependencies || {}),
+    ...Object.keys(functionsPackage.peerDependencies || {})
+  ];
+}
+
+export function createVirtualPlugins(config) {
+  return [
+    virtualRoutesPlugin(),
+    virtualProxiesPlugin(),
+    virtualWebhooksPlugin(config),
+    virtualCronsPlugin(),
+    virtualJobsPlugin(),
+    virtualBulksPlugin(),
+    virtualProjectConfigPlugin(config)
+  ];
+}
+
+function readFunctionsPackage() {
+  const functionsPackagePath = path.join(__dirname, '../../functions/package.json');
+  return JSON.parse(fs.readFileSync(functionsPackagePath, 'utf8'));
+}
+
 function cleanDistPlugin() {
   return {
     name: 'clean-dist',
     setup(build) {
       build.onStart(() => {
-        const indexJs = path.join(process.cwd(), OUTDIR, 'index.js');
-        const indexJsMap = path.join(process.cwd(), OUTDIR, 'index.js.map');
+        const indexJs = path.join(process.cwd(), build.initialOptions.outdir, 'index.js');
+        const indexJsMap = path.join(process.cwd(), build.initialOptions.outdir, 'index.js.map');
 
         if (fs.existsSync(indexJs)) fs.rmSync(indexJs);
         if (fs.existsSync(indexJsMap)) fs.rmSync(indexJsMap);
@@ -71,17 +134,43 @@ function virtualRoutesPlugin() {
 
       build.onLoad({ filter: /.*/, namespace: 'virtual-routes' }, async () => {
         const routes = await scanApiFiles();
+        const middlewares = await scanApiMiddlewareFiles();
         return {
-          contents: generateRoutesConfig(routes),
+          contents: generateRoutesConfig(routes, middlewares),
           loader: 'js',
-          resolveDir: process.cwd()
+          resolveDir: process.cwd(),
+          watchDirs: getWatchDirs()
+        };
+      });
+    }
+  };
+}
+
+function virtualProxiesPlugin() {
+  return {
+    name: 'virtual-proxies',
+    setup(build) {
+      build.onResolve({ filter: /^\.\/proxies\.config\.js$/ }, args => {
+        return {
+          path: args.path,
+          namespace: 'virtual-proxies'
+        };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'virtual-proxies' }, async () => {
+        const routes = await scanProxyFiles();
+        return {
+          contents: generateRoutesConfig(routes, []),
+          loader: 'js',
+          resolveDir: process.cwd(),
+          watchDirs: getWatchDirs()
         };
       });
     }
   };
 }
 
-function virtualWebhooksPlugin() {
+function virtualWebhooksPlugin(config) {
   return {
     name: 'virtual-webhooks',
     setup(build) {
@@ -95,7 +184,105 @@ function virtualWebhooksPlugin() {
       build.onLoad({ filter: /.*/, namespace: 'virtual-webhooks' }, async () => {
         const webhooks = await scanWebhookFiles();
         return {
-          contents: generateWebhooksConfig(webhooks),
+          contents: generateWebhooksConfig(webhooks, config.paths.webhook),
+          loader: 'js',
+          resolveDir: process.cwd(),
+          watchDirs: getWatchDirs()
+        };
+      });
+    }
+  };
+}
+
+function virtualCronsPlugin() {
+  return {
+    name: 'virtual-crons',
+    setup(build) {
+      build.onResolve({ filter: /^\.\/crons\.config\.js$/ }, args => {
+        return {
+          path: args.path,
+          namespace: 'virtual-crons'
+        };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'virtual-crons' }, async () => {
+        const crons = await scanCronFiles();
+        return {
+          contents: generateModulesConfig(crons, 'cron'),
+          loader: 'js',
+          resolveDir: process.cwd(),
+          watchDirs: getWatchDirs()
+        };
+      });
+    }
+  };
+}
+
+function virtualJobsPlugin() {
+  return {
+    name: 'virtual-jobs',
+    setup(build) {
+      build.onResolve({ filter: /^\.\/jobs\.config\.js$/ }, args => {
+        return {
+          path: args.path,
+          namespace: 'virtual-jobs'
+        };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'virtual-jobs' }, async () => {
+        const jobs = await scanJobFiles();
+        // Editors pick it up through jsconfig.json, so enqueue() only accepts jobs that exist
+        fs.mkdirSync(path.join(process.cwd(), getConfig().outDir), { recursive: true });
+        fs.writeFileSync(path.join(process.cwd(), getConfig().outDir, 'jobs.d.ts'), generateJobsTypes(jobs));
+        return {
+          contents: generateModulesConfig(jobs, 'job'),
+          loader: 'js',
+          resolveDir: process.cwd(),
+          watchDirs: getWatchDirs()
+        };
+      });
+    }
+  };
+}
+
+function virtualBulksPlugin() {
+  return {
+    name: 'virtual-bulks',
+    setup(build) {
+      build.onResolve({ filter: /^\.\/bulks\.config\.js$/ }, args => {
+        return {
+          path: args.path,
+          namespace: 'virtual-bulks'
+        };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'virtual-bulks' }, async () => {
+        const bulks = await scanBulkFiles();
+        return {
+          contents: generateModulesConfig(bulks, 'bulk'),
+          loader: 'js',
+          resolveDir: process.cwd(),
+          watchDirs: getWatchDirs()
+        };
+      });
+    }
+  };
+}
+
+function virtualProjectConfigPlugin(config) {
+  return {
+    name: 'virtual-project-config',
+    setup(build) {
+      build.onResolve({ filter: /^\.\/project\.config\.js$/ }, args => {
+        return {
+          path: args.path,
+          namespace: 'virtual-project-config'
+        };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'virtual-project-config' }, () => {
+        return {
+          contents: generateProjectConfig(config),
           loader: 'js',
           resolveDir: process.cwd()
         };
@@ -104,38 +291,57 @@ function virtualWebhooksPlugin() {
   };
 }
 
-function generatePackageJsonPlugin(functionsPackage) {
+function generatePackageJsonPlugin(functionsPackage, config) {
   return {
     name: 'generate-package-json',
     setup(build) {
       build.onEnd(() => {
+        // Database drivers are optional peers, only the selected adapter's driver is installed
+        const adapterPackage = ADAPTER_PACKAGES[config.sessionStorage.adapter];
         const targetPackage = {
           name: 'functions',
           main: 'index.js',
           engines: functionsPackage.engines,
-          dependencies: functionsPackage.dependencies
+          dependencies: {
+            ...functionsPackage.dependencies,
+            ...(adapterPackage && { [adapterPackage]: functionsPackage.peerDependencies[adapterPackage] })
+          }
         };
 
-        const outputPath = path.join(process.cwd(), OUTDIR, 'package.json');
+        const outputPath = path.join(process.cwd(), build.initialOptions.outdir, 'package.json');
         fs.writeFileSync(outputPath, JSON.stringify(targetPackage, null, 2));
       });
     }
   };
 }
 
-function copyFirebaseConfigPlugin() {
+function copyFirebaseConfigPlugin(config) {
   return {
     name: 'copy-firebase-config',
     setup(build) {
-      build.onEnd(() => {
+      build.onEnd(async () => {
         const cwd = process.cwd();
-        const ryzizDir = path.join(cwd, RYZIZ_DIR);
+        const ryzizDir = path.join(cwd, config.outDir);
 
         fs.mkdirSync(ryzizDir, { recursive: true });
 
         const firebaseJsonSource = path.join(__dirname, '../../functions/firebase.json');
         const firebaseJsonTarget = path.join(ryzizDir, 'firebase.json');
-        fs.copyFileSync(firebaseJsonSource, firebaseJsonTarget);
+        const firebaseJson = JSON.parse(fs.readFileSync(firebaseJsonSource, 'utf8'));
+        // The proxy function only exists with proxy files, a rewrite to a missing function fails deploy
+        if ((await scanProxyFiles()).length > 0) {
+          firebaseJson.hosting.rewrites.push(
+            { source: '/proxy', function: 'proxy' },
+            { source: '/proxy/**', function: 'proxy' }
+          );
+        }
+        firebaseJson.hosting.rewrites = firebaseJson.hosting.rewrites.map(rewrite => toRewrite(rewrite, config));
+        firebaseJson.emulators.hosting.port = config.port;
+        fs.writeFileSync(firebaseJsonTarget, JSON.stringify(firebaseJson, null, 2));
+
+        const rulesSource = path.join(__dirname, '../../functions/firestore.rules');
+        const rulesTarget = path.join(ryzizDir, 'firestore.rules');
+        fs.copyFileSync(rulesSource, rulesTarget);
 
         const firebasercSource = path.join(cwd, '.firebaserc');
         const firebasercTarget = path.join(ryzizDir, '.firebaserc');
@@ -147,42 +353,121 @@ function copyFirebaseConfigPlugin() {
   };
 }
 
-async function scanApiFiles() {
-  const pattern = path.join(process.cwd(), 'src/api.*.js');
-  const files = await glob(pattern);
+function getWatchDirs() {
+  // Watch mode rebuilds when files are added or removed, so scanners pick up new routes and topics
+  return [path.join(process.cwd(), getConfig().srcDir)];
+}
+
+function toRewrite(rewrite, config) {
+  const sources = { auth: `${config.paths.auth}/**`, webhooks: config.paths.webhook };
+  const { region } = config.functions;
+
+  return {
+    source: sources[rewrite.function] || rewrite.source,
+    // Hosting only finds functions outside us-central1 when the rewrite names the region
+    function: region ? { functionId: rewrite.function, region } : rewrite.function
+  };
+}
+
+function generateProjectConfig(config) {
+  const { adapter, ...storageOptions } = config.sessionStorage;
+  if (typeof adapter === 'object') {
+    throw new Error('sessionStorage.adapter must be an adapter name or a module path like ./src/storage.js');
+  }
+
+  // Only JSON reaches functions, so build-only values like esbuild plugins stay out of the bundle
+  const isModule = /^[./]/.test(adapter || '');
+  const runtimeConfig = JSON.stringify({
+    port: config.port,
+    paths: config.paths,
+    functions: config.functions,
+    secrets: listRuntimeSecrets(),
+    sessionStorage: { ...storageOptions, ...(adapter && !isModule && { adapter }) }
+  }, null, 2);
+
+  return isModule
+    ? `import adapter from '${path.resolve(adapter)}';\n\nconst config = ${runtimeConfig};\nconfig.sessionStorage.adapter = adapter;\n\nexport default config;\n`
+    : `export default ${runtimeConfig};\n`;
+}
+
+export async function scanApiFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'api.*.js');
+  const files = (await glob(pattern)).filter(file => !isMiddlewareFile(file));
 
   return files.map(file => {
     const filename = path.basename(file);
-    const routePath = filenameToRoute(filename);
+    const routePath = filenameToRoute(filename, 'api');
     const absolutePath = path.resolve(file);
 
     return { path: routePath, file: absolutePath };
   });
 }
 
-function filenameToRoute(filename) {
-  const name = filename.replace('api.', '').replace('.js', '');
-  if (name === 'index') return '/api/';
+export async function scanProxyFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'proxy.*.js');
+  const files = await glob(pattern);
+
+  return files.map(file => ({
+    path: filenameToRoute(path.basename(file), 'proxy'),
+    file: path.resolve(file)
+  }));
+}
+
+function filenameToRoute(filename, prefix) {
+  const name = filename.replace(`${prefix}.`, '').replace('.js', '');
+  if (name === 'index') return `/${prefix}/`;
 
-  return '/api/' + name.split('.').map(segment =>
+  return `/${prefix}/` + name.split('.').map(segment =>
     segment.startsWith('$') ? ':' + segment.slice(1) : segment
   ).join('/');
 }
 
-function generateRoutesConfig(routes) {
-  const imports = routes.map((r, i) =>
-    `import * as api${i} from '${r.file}';`
-  ).join('\n');
+async function scanApiMiddlewareFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'api.*.js');
+  const files = (await glob(pattern)).filter(isMiddlewareFile);
 
-  const array = routes.map((r, i) =>
-    `  { path: '${r.path}', module: api${i} }`
-  ).join(',\n');
+  return files.map(file => {
+    const filename = path.basename(file);
+    const prefix = filenameToPrefix(filename);
+    const absolutePath = path.resolve(file);
+
+    return { prefix, file: absolutePath };
+  }).sort((a, b) => a.prefix.length - b.prefix.length);
+}
+
+function isMiddlewareFile(file) {
+  // One rule for both scans: _middleware is its own segment, as in api._middleware.js or api.products._middleware.js
+  return path.basename(file).split('.').at(-2) === '_middleware';
+}
+
+function filenameToPrefix(filename) {
+  const segments = filename.split('.').slice(1, -2).map(segment =>
+    segment.startsWith('$') ? ':' + segment.slice(1) : segment
+  );
+
+  return ['/api', ...segments, ''].join('/');
+}
+
+function generateRoutesConfig(routes, middlewares) {
+  const imports = [
+    ...routes.map((r, i) => `import * as api${i} from '${r.file}';`),
+    ...middlewares.map((m, i) => `import * as middleware${i} from '${m.file}';`)
+  ].join('\n');
+
+  const array = routes.map((r, i) => {
+    const middleware = middlewares
+      .map((m, j) => (r.path + '/').startsWith(m.prefix) ? `middleware${j}` : null)
+      .filter(Boolean)
+      .join(', ');
+
+    return `  { path: '${r.path}', module: api${i}, middleware: [${middleware}] }`;
+  }).join(',\n');
 
   return `${imports}\n\nexport default [\n${array}\n];\n`;
 }
 
 export async function scanWebhookFiles() {
-  const pattern = path.join(process.cwd(), 'src/webhooks.*.js');
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'webhooks.*.js');
   const files = await glob(pattern);
 
   return files.map(file => {
@@ -194,21 +479,86 @@ export async function scanWebhookFiles() {
       file: absolutePath,
       topic: match ? match[1] : null
     };
-  }).filter(w => w.topic);
+  }).filter(w => w.topic).concat(DEFAULT_WEBHOOKS);
 }
 
-function generateWebhooksConfig(webhooks) {
-  const imports = webhooks.map((w, i) =>
-    `import * as webhook${i} from '${w.file}';`
-  ).join('\n');
+function generateWebhooksConfig(webhooks, callbackUrl) {
+  const imports = [
+    `import { createWebhookCallback } from '@ryziz-shopify/functions/src/functions.webhooks.js';`,
+    ...webhooks.map((w, i) => `import * as webhook${i} from '${w.file}';`)
+  ].join('\n');
 
-  const handlers = webhooks.map((w, i) =>
-    `  [webhook${i}.TOPIC]: {
+  // One callback per topic so a delivery is claimed once and runs every handler, 'shop/redact' and SHOP_REDACT are one topic
+  const topics = [...new Set(webhooks.map(w => toTopic(w.topic)))];
+  const handlers = topics.map(topic => {
+    const modules = webhooks
+      .map((w, i) => {
+        if (toTopic(w.topic) !== topic) return null;
+        return w.handler ? `{ handle: webhook${i}.${w.handler}, builtIn: true }` : `webhook${i}`;
+      })
+      .filter(Boolean)
+      .join(', ');
+
+    return `  '${topic}': {
     deliveryMethod: 'http',
-    callbackUrl: '/webhook',
-    callback: webhook${i}.handle
-  }`
-  ).join(',\n');
+    callbackUrl: '${callbackUrl}',
+    callback: createWebhookCallback([${modules}])
+  }`;
+  }).join(',\n');
 
   return `${imports}\n\nexport default {\n${handlers}\n};\n`;
 }
+
+export async function scanCronFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'cron.*.js');
+  const files = await glob(pattern);
+
+  return files.map(file => {
+    const absolutePath = path.resolve(file);
+    const content = fs.readFileSync(file, 'utf8');
+    const match = content.match(/export const SCHEDULE = ['"](.+)['"]/);
+
+    return {
+      name: path.basename(file).replace('cron.', '').replace('.js', ''),
+      file: absolutePath,
+      schedule: match ? match[1] : null
+    };
+  }).filter(c => c.schedule);
+}
+
+async function scanJobFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'job.*.js');
+  const files = await glob(pattern);
+
+  return files.map(file => ({
+    name: path.basename(file).replace('job.', '').replace('.js', ''),
+    file: path.resolve(file)
+  }));
+}
+
+async function scanBulkFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'bulk.*.js');
+  const files = await glob(pattern);
+
+  return files.map(file => ({
+    name: path.basename(file).replace('bulk.', '').replace('.js', ''),
+    file: path.resolve(file)
+  }));
+}
+
+function generateJobsTypes(jobs) {
+  const keys = jobs.map(job => `    '${job.name}': true;`).join('\n');
+  return `import '@ryziz-shopify/functions';\n\ndeclare module '@ryziz-shopify/functions' {\n  interface Jobs {\n${keys}\n  }\n}\n`;
+}
+
+function generateModulesConfig(modules, prefix) {
+  const imports = modules.map((m, i) =>
+    `import * as ${prefix}${i} from '${m.file}';`
+  ).join('\n');
+
+  const array = modules.map((m, i) =>
+    `  { name: '${m.name}', module: ${prefix}${i} }`
+  ).join(',\n');
+
+  return `${imports}\n\nexport default [\n${array}\n];\n`;
+}
@@ -2,34 +2,50 @@ import fs from 'fs';
 import path from 'path';
 import { glob } from 'glob';
 import * as esbuild from 'esbuild';
-
-const RYZIZ_DIR = '.ryziz';
-const OUTDIR = path.join(RYZIZ_DIR, 'public');
+import { getConfig } from './util.config.js';
+import rebuildStatusPlugin, { createLiveReloadScript } from './util.watch.js';
+import { createAppBridgeScript } from './util.mock.js';
 
 export default async function build(options = {}) {
   const watch = options.watch || false;
+  const apiKey = options.apiKey || '';
+  const config = getConfig();
 
   const buildOptions = {
     entryPoints: {
       index: '@ryziz-shopify/router/src/router.routes.jsx'
     },
     bundle: true,
-    outdir: OUTDIR,
+    outdir: path.join(config.outDir, 'public'),
     splitting: true,
     format: 'esm',
     jsx: 'automatic',
     minify: !watch,
     sourcemap: watch,
+    metafile: true,
+    // Rebuild errors are reported through onRebuild instead of printed over the task list
+    logLevel: options.onRebuild ? 'silent' : 'warning',
+    loader: config.esbuild.loader,
+    define: {
+      ...config.esbuild.define,
+      'process.env.SHOPIFY_API_KEY': JSON.stringify(apiKey)
+    },
     plugins: [
       cleanDistPlugin(),
       virtualRoutesPlugin(),
-      copyPublicPlugin()
+      ...config.esbuild.plugins,
+      copyPublicPlugin(),
+      appBridgePlugin(apiKey, options.mockUrl),
+      manifestPlugin(),
+      ...(options.liveReloadUrl ? [liveReloadPlugin(options.liveReloadUrl)] : []),
+      ...(options.onRebuild ? [rebuildStatusPlugin(options.onRebuild)] : [])
     ]
   };
 
   if (watch) {
     const ctx = await esbuild.context(buildOptions);
     await ctx.watch();
+    return ctx;
   } else {
     await esbuild.build(buildOptions);
   }
@@ -40,7 +56,7 @@ function cleanDistPlugin() {
     name: 'clean-dist',
     setup(build) {
       build.onStart(() => {
-        const outdir = path.join(process.cwd(), OUTDIR);
+        const outdir = path.join(process.cwd(), build.initialOptions.outdir);
         if (fs.existsSync(outdir)) {
           fs.rmSync(outdir, { recursive: true, force: true });
         }
@@ -49,7 +65,7 @@ function cleanDistPlugin() {
   };
 }
 
-function virtualRoutesPlugin() {
+export function virtualRoutesPlugin() {
   return {
     name: 'virtual-routes',
     setup(build) {
@@ -61,11 +77,19 @@ function virtualRoutesPlugin() {
       });
 
       build.onLoad({ filter: /.*/, namespace: 'virtual-routes' }, async () => {
-        const routes = await scanPageFiles();
+        const routes = createRouteTree(
+          await scanPageFiles(),
+          await scanSegmentFiles('layout'),
+          await scanSegmentFiles('error')
+        );
+        const [loading] = await scanSegmentFiles('page.loading');
+        const nav = (await scanPageFiles()).filter(p => p.nav);
         return {
-          contents: generateRoutesConfig(routes),
+          contents: generateRoutesConfig(routes, loading, nav),
           loader: 'js',
-          resolveDir: process.cwd()
+          resolveDir: process.cwd(),
+          // New page files aren't imported yet, so esbuild only sees them through the directory listing
+          watchDirs: [path.join(process.cwd(), getConfig().srcDir)]
         };
       });
     }
@@ -80,43 +104,236 @@ function copyPublicPlugin() {
         const publicDir = path.join(process.cwd(), 'public');
 
         if (fs.existsSync(publicDir)) {
-          fs.cpSync(publicDir, path.join(process.cwd(), OUTDIR), { recursive: true });
+          fs.cpSync(publicDir, path.join(process.cwd(), build.initialOptions.outdir), { recursive: true });
         }
       });
     }
   };
 }
 
-async function scanPageFiles() {
-  const pattern = path.join(process.cwd(), 'src/page.*.jsx');
-  const files = await glob(pattern);
+function appBridgePlugin(apiKey, mockUrl) {
+  return {
+    name: 'app-bridge',
+    setup(build) {
+      build.onEnd(() => {
+        const indexHtml = path.join(process.cwd(), build.initialOptions.outdir, 'index.html');
+        if (!fs.existsSync(indexHtml)) return;
+
+        // App Bridge must be the first script in head, offline the CDN is out of reach and a stub takes its place
+        const scripts = mockUrl
+          ? [createAppBridgeScript(mockUrl)]
+          : [
+            '<script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>',
+            '<script src="https://cdn.shopify.com/shopifycloud/polaris.js"></script>'
+          ];
+        const tags = [`<meta name="shopify-api-key" content="${apiKey}" />`, ...scripts]
+          .map(tag => `\n    ${tag}`)
+          .join('');
+
+        const html = fs.readFileSync(indexHtml, 'utf8');
+        fs.writeFileSync(indexHtml, html.replace('<head>', () => `<head>${tags}`));
+      });
+    }
+  };
+}
+
+function manifestPlugin() {
+  return {
+    name: 'manifest',
+    setup(build) {
+      build.onEnd(async (result) => {
+        if (!result.metafile) return;
+
+        const outdir = path.join(process.cwd(), build.initialOptions.outdir);
+        const manifest = createManifest(await scanPageFiles(), result.metafile, build.initialOptions.outdir);
+        fs.writeFileSync(path.join(outdir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        const indexHtml = path.join(outdir, 'index.html');
+        if (fs.existsSync(indexHtml)) {
+          const html = fs.readFileSync(indexHtml, 'utf8');
+          fs.writeFileSync(indexHtml, html.replace('</head>', () => `  ${generatePreloadScript(manifest)}\n  </head>`));
+        }
+      });
+    }
+  };
+}
+
+function liveReloadPlugin(url) {
+  return {
+    name: 'live-reload',
+    setup(build) {
+      build.onEnd(() => {
+        const indexHtml = path.join(process.cwd(), build.initialOptions.outdir, 'index.html');
+        if (!fs.existsSync(indexHtml)) return;
+
+        const html = fs.readFileSync(indexHtml, 'utf8');
+        fs.writeFileSync(indexHtml, html.replace('</head>', () => `  ${createLiveReloadScript(url)}\n  </head>`));
+      });
+    }
+  };
+}
+
+export async function scanPageFiles() {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, 'page.*.jsx');
+  const files = await glob(pattern, { ignore: '**/page.loading.jsx' });
 
   return files.map(file => {
     const filename = path.basename(file);
     const routePath = filenameToRoute(filename);
     const absolutePath = path.resolve(file);
+    const content = fs.readFileSync(file, 'utf8');
+    const match = content.match(/export const nav = \{\s*label:\s*['"](.+?)['"]/);
 
-    return { path: routePath, file: absolutePath };
+    return {
+      path: routePath,
+      file: absolutePath,
+      key: filenameToKey(filename),
+      nav: match ? match[1] : null
+    };
+  });
+}
+
+async function scanSegmentFiles(type) {
+  const pattern = path.join(process.cwd(), getConfig().srcDir, `{${type},${type}.*}.jsx`);
+  const files = await glob(pattern);
+
+  return files.map(file => {
+    const filename = path.basename(file);
+    const absolutePath = path.resolve(file);
+
+    return { file: absolutePath, key: filenameToKey(filename) };
   });
 }
 
 function filenameToRoute(filename) {
   const name = filename.replace('page.', '').replace('.jsx', '');
   if (name === 'index') return '/';
+  if (name === '404') return '*';
 
   return '/' + name.split('.').map(segment =>
     segment.startsWith('$') ? ':' + segment.slice(1) : segment
   ).join('/');
 }
 
-function generateRoutesConfig(routes) {
-  const imports = routes.map((r, i) =>
-    `import Page${i} from '${r.file}';`
-  ).join('\n');
+function filenameToKey(filename) {
+  const key = filename.split('.').slice(1, -1).join('.');
+  return key === 'index' ? '' : key;
+}
+
+function createRouteTree(pages, layouts, errors) {
+  // Layout and error files wrap every page whose filename starts with their segments
+  const root = { key: '', children: [] };
+  const segments = [...new Set([...layouts, ...errors].map(f => f.key))]
+    .filter(key => key !== '')
+    .sort((a, b) => a.split('.').length - b.split('.').length);
+
+  const nodes = [root];
+  segments.forEach(key => {
+    const node = { key, children: [] };
+    findParent(nodes, key).children.push(node);
+    nodes.push(node);
+  });
+
+  nodes.forEach(node => {
+    node.layout = layouts.find(l => l.key === node.key);
+    node.error = errors.find(e => e.key === node.key);
+  });
+
+  pages.forEach(page => {
+    const parent = page.path === '*' ? root : findParent(nodes, page.key, true);
+    parent.children.push(page);
+  });
+
+  return root.layout || root.error ? [root] : root.children;
+}
+
+function findParent(nodes, key, inclusive = false) {
+  return nodes
+    .filter(node => node.key === '' || key.startsWith(node.key + '.') || (inclusive && key === node.key))
+    .sort((a, b) => b.key.length - a.key.length)[0];
+}
+
+function generateRoutesConfig(routes, loading, nav) {
+  const imports = [];
+
+  if (loading) {
+    imports.push(`import Loading${imports.length} from '${loading.file}';`);
+  }
+  const loadingComponent = loading ? `Loading${imports.length - 1}` : 'null';
+
+  const toLiteral = (route, indent) => {
+    const fields = [];
+
+    if (route.file) {
+      imports.push(`const Page${imports.length} = () => import('${route.file}');`);
+      fields.push(`path: '${route.path}'`, `page: Page${imports.length - 1}`);
+    }
+    if (route.layout) {
+      imports.push(`import Layout${imports.length} from '${route.layout.file}';`);
+      fields.push(`component: Layout${imports.length - 1}`);
+    }
+    if (route.error) {
+      imports.push(`import Error${imports.length} from '${route.error.file}';`);
+      fields.push(`error: Error${imports.length - 1}`);
+    }
+    if (route.children) {
+      fields.push(`children: ${toArray(route.children, indent + '  ')}`);
+    }
+
+    return `${indent}{ ${fields.join(', ')} }`;
+  };
+
+  const toArray = (routes, indent) =>
+    `[\n${routes.map(r => toLiteral(r, indent + '  ')).join(',\n')}\n${indent}]`;
+
+  const array = toArray(routes, '');
 
-  const array = routes.map((r, i) =>
-    `  { path: '${r.path}', component: Page${i} }`
+  const navArray = nav.map(p =>
+    `  { path: '${p.path}', label: ${JSON.stringify(p.nav)} }`
   ).join(',\n');
 
-  return `${imports}\n\nexport default [\n${array}\n];\n`;
+  return `${imports.join('\n')}\n\nexport const loading = ${loadingComponent};\n\nexport const nav = [\n${navArray}\n];\n\nexport default ${array};\n`;
+}
+
+function createManifest(pages, metafile, outdir) {
+  // Static routes first so they win over params when matched in the browser
+  const sortedPages = [...pages].sort((a, b) =>
+    (a.path.match(/:/g) || []).length - (b.path.match(/:/g) || []).length
+  );
+
+  return Object.fromEntries(sortedPages.map(page => {
+    const entryPoint = path.relative(process.cwd(), page.file);
+    const output = Object.keys(metafile.outputs).find(o => metafile.outputs[o].entryPoint === entryPoint);
+
+    const chunks = output ? [...collectChunks(output, metafile)] : [];
+
+    return [page.path, chunks.map(chunk => '/' + path.relative(outdir, chunk))];
+  }));
+}
+
+function collectChunks(output, metafile, chunks = new Set()) {
+  if (!chunks.has(output)) {
+    chunks.add(output);
+    metafile.outputs[output].imports
+      .filter(i => i.kind === 'import-statement')
+      .forEach(i => collectChunks(i.path, metafile, chunks));
+  }
+
+  return chunks;
+}
+
+function generatePreloadScript(manifest) {
+  return `<script>
+      (function (manifest) {
+        var route = Object.keys(manifest).find(function (r) {
+          return r !== '*' && new RegExp('^' + r.replace(/:[^/]+/g, '[^/]+') + '/?$').test(location.pathname);
+        }) || '*';
+        (manifest[route] || []).forEach(function (href) {
+          var link = document.createElement('link');
+          link.rel = 'modulepreload';
+          link.href = href;
+          document.head.appendChild(link);
+        });
+      })(${JSON.stringify(manifest)});
+    </script>`;
 }
@@ -0,0 +1,71 @@
+import path from 'path';
+import * as esbuild from 'esbuild';
+import { getConfig } from './util.config.js';
+import { createVirtualPlugins, getFunctionsExternal } from './build.backend.js';
+import { virtualRoutesPlugin } from './build.frontend.js';
+
+export default async function build() {
+  const config = getConfig();
+  const outdir = getTestDir();
+  // Sessions stay in memory, tests never reach Firestore or a database
+  const testConfig = { ...config, sessionStorage: { adapter: 'memory' } };
+  const sharedOptions = {
+    bundle: true,
+    outdir,
+    // .cjs so the bundles load as CommonJS inside "type": "module" projects
+    outExtension: { '.js': '.cjs' },
+    format: 'cjs',
+    platform: 'node',
+    sourcemap: true,
+    logLevel: 'warning',
+    loader: config.esbuild.loader,
+    define: config.esbuild.define
+  };
+
+  await esbuild.build({
+    ...sharedOptions,
+    entryPoints: {
+      functions: '@ryziz-shopify/testing/src/testing.functions.js'
+    },
+    external: getFunctionsExternal(),
+    plugins: [
+      memoryFirestorePlugin(),
+      ...createVirtualPlugins(testConfig),
+      ...config.esbuild.plugins
+    ]
+  });
+
+  // Pages are a separate bundle, both sides import a ./routes.config.js with different contents
+  await esbuild.build({
+    ...sharedOptions,
+    entryPoints: {
+      pages: '@ryziz-shopify/testing/src/testing.pages.jsx'
+    },
+    jsx: 'automatic',
+    external: ['react', 'react-dom', 'react-router-dom'],
+    plugins: [
+      virtualRoutesPlugin(),
+      ...config.esbuild.plugins
+    ]
+  });
+}
+
+export function getTestDir() {
+  // Not test/, node --test would pick the bundles up as test files
+  return path.join(process.cwd(), getConfig().outDir, 'testing');
+}
+
+function memoryFirestorePlugin() {
+  return {
+    name: 'memory-firestore',
+    setup(build) {
+      // Plugins resolve before externals, so only Firestore is swapped and the rest of firebase-admin stays real
+      build.onResolve({ filter: /^firebase-admin\/firestore$/ }, () => {
+        return build.resolve('@ryziz-shopify/testing/src/testing.firestore.js', {
+          kind: 'import-statement',
+          resolveDir: process.cwd()
+        });
+      });
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './util.config.js';
+import { spawnWithCallback } from './util.spawn.js';
+
+// Emulator sessions are throwaway, so dev encrypts them with a fixed key when the shell has none
+const DEV_SECRETS = { RYZIZ_ENCRYPTION_KEY: 'ryziz-dev-encryption-key' };
+
+export function readHostingUrl() {
+  const projectId = readProjectId();
+  return projectId ? `https://${projectId}.web.app` : null;
+}
+
+export function readProjectId() {
+  const firebasercPath = path.join(process.cwd(), '.firebaserc');
+  if (!fs.existsSync(firebasercPath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(firebasercPath, 'utf8')).projects?.default || null;
+}
+
+export function writeFunctionsEnv(env, secrets = {}) {
+  const functionsDir = getFunctionsDir();
+  fs.mkdirSync(functionsDir, { recursive: true });
+  fs.writeFileSync(path.join(functionsDir, '.env'), toEnvContent(env));
+
+  // Emulator reads declared secrets from .secret.local, deploys use Secret Manager
+  if (Object.keys(secrets).length > 0) {
+    fs.writeFileSync(path.join(functionsDir, '.secret.local'), toEnvContent(secrets));
+  }
+}
+
+export function listRuntimeSecrets() {
+  // DATABASE_URL is only read by the postgres adapter when no connectionString is configured
+  const { adapter, connectionString } = getConfig().sessionStorage;
+  return ['RYZIZ_ENCRYPTION_KEY', ...(adapter === 'postgres' && !connectionString ? ['DATABASE_URL'] : [])];
+}
+
+export function readRuntimeSecrets({ dev = false } = {}) {
+  const values = listRuntimeSecrets().filter(key => process.env[key]).map(key => [key, process.env[key]]);
+  return { ...(dev && DEV_SECRETS), ...Object.fromEntries(values) };
+}
+
+export async function listMissingSecrets() {
+  // Storage refuses to save tokens without them, so a deploy without one can't get through OAuth
+  const unset = listRuntimeSecrets().filter(key => !process.env[key]);
+  const missing = [];
+
+  for (const key of unset) {
+    await spawnWithCallback('npx', ['firebase', 'functions:secrets:get', key, '--non-interactive'], {
+      cwd: getConfig().outDir
+    }).catch(() => missing.push(key));
+  }
+  return missing;
+}
+
+export function readFunctionsEnv() {
+  const functionsDir = getFunctionsDir();
+
+  return ['.env', '.secret.local']
+    .map(file => path.join(functionsDir, file))
+    .filter(file => fs.existsSync(file))
+    .reduce((env, file) => ({ ...env, ...fromEnvContent(fs.readFileSync(file, 'utf8')) }), {});
+}
+
+export function getFunctionsDir() {
+  return path.join(process.cwd(), getConfig().outDir, 'functions');
+}
+
+function toEnvContent(values) {
+  return Object.entries(values)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+}
+
+function fromEnvContent(content) {
+  return Object.fromEntries(content
+    .split('\n')
+    .map(line => line.match(/^([^=#\s]+)=(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value]));
+}
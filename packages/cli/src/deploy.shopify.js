@@ -1,40 +1,137 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { glob } from 'glob';
 import { parse, patch } from 'toml-patch';
-import { scanWebhookFiles } from './build.backend.js';
+import { scanWebhookFiles, scanProxyFiles } from './build.backend.js';
+import { getConfig } from './util.config.js';
 
-const CACHE_PATH = path.join(process.cwd(), '.ryziz/cache.json');
+const CACHE_FILE = 'cache.json';
 const COMPLIANCE_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+// Enum topics with their toml form and the API version they were added in, older topics exist in every supported version
+const WEBHOOK_TOPICS = {
+  APP_PURCHASES_ONE_TIME_UPDATE: ['app_purchases_one_time/update'],
+  APP_SCOPES_UPDATE: ['app/scopes_update', '2024-07'],
+  APP_SUBSCRIPTIONS_APPROACHING_CAPPED_AMOUNT: ['app_subscriptions/approaching_capped_amount'],
+  APP_SUBSCRIPTIONS_UPDATE: ['app_subscriptions/update'],
+  APP_UNINSTALLED: ['app/uninstalled'],
+  BULK_OPERATIONS_FINISH: ['bulk_operations/finish'],
+  CARTS_CREATE: ['carts/create'],
+  CARTS_UPDATE: ['carts/update'],
+  CHECKOUTS_CREATE: ['checkouts/create'],
+  CHECKOUTS_DELETE: ['checkouts/delete'],
+  CHECKOUTS_UPDATE: ['checkouts/update'],
+  COLLECTIONS_CREATE: ['collections/create'],
+  COLLECTIONS_DELETE: ['collections/delete'],
+  COLLECTIONS_UPDATE: ['collections/update'],
+  COMPANIES_CREATE: ['companies/create'],
+  COMPANIES_DELETE: ['companies/delete'],
+  COMPANIES_UPDATE: ['companies/update'],
+  CUSTOMER_ACCOUNT_SETTINGS_UPDATE: ['customer_account_settings/update', '2024-07'],
+  CUSTOMERS_CREATE: ['customers/create'],
+  CUSTOMERS_DATA_REQUEST: ['customers/data_request'],
+  CUSTOMERS_DELETE: ['customers/delete'],
+  CUSTOMERS_DISABLE: ['customers/disable'],
+  CUSTOMERS_EMAIL_MARKETING_CONSENT_UPDATE: ['customers_email_marketing_consent/update'],
+  CUSTOMERS_ENABLE: ['customers/enable'],
+  CUSTOMERS_MARKETING_CONSENT_UPDATE: ['customers_marketing_consent/update'],
+  CUSTOMERS_MERGE: ['customers/merge'],
+  CUSTOMERS_PURCHASING_SUMMARY: ['customers/purchasing_summary', '2024-10'],
+  CUSTOMERS_REDACT: ['customers/redact'],
+  CUSTOMERS_UPDATE: ['customers/update'],
+  DISCOUNTS_CREATE: ['discounts/create'],
+  DISCOUNTS_DELETE: ['discounts/delete'],
+  DISCOUNTS_UPDATE: ['discounts/update'],
+  DRAFT_ORDERS_CREATE: ['draft_orders/create'],
+  DRAFT_ORDERS_DELETE: ['draft_orders/delete'],
+  DRAFT_ORDERS_UPDATE: ['draft_orders/update'],
+  FULFILLMENT_ORDERS_CANCELLED: ['fulfillment_orders/cancelled'],
+  FULFILLMENT_ORDERS_FULFILLMENT_REQUEST_SUBMITTED: ['fulfillment_orders/fulfillment_request_submitted'],
+  FULFILLMENT_ORDERS_HOLD_RELEASED: ['fulfillment_orders/hold_released'],
+  FULFILLMENT_ORDERS_MOVED: ['fulfillment_orders/moved'],
+  FULFILLMENT_ORDERS_PLACED_ON_HOLD: ['fulfillment_orders/placed_on_hold'],
+  FULFILLMENT_ORDERS_READY_TO_FULFILL: ['fulfillment_orders/ready_to_fulfill'],
+  FULFILLMENTS_CREATE: ['fulfillments/create'],
+  FULFILLMENTS_UPDATE: ['fulfillments/update'],
+  INVENTORY_ITEMS_CREATE: ['inventory_items/create'],
+  INVENTORY_ITEMS_DELETE: ['inventory_items/delete'],
+  INVENTORY_ITEMS_UPDATE: ['inventory_items/update'],
+  INVENTORY_LEVELS_CONNECT: ['inventory_levels/connect'],
+  INVENTORY_LEVELS_DISCONNECT: ['inventory_levels/disconnect'],
+  INVENTORY_LEVELS_UPDATE: ['inventory_levels/update'],
+  LOCATIONS_CREATE: ['locations/create'],
+  LOCATIONS_DELETE: ['locations/delete'],
+  LOCATIONS_UPDATE: ['locations/update'],
+  METAOBJECTS_CREATE: ['metaobjects/create'],
+  METAOBJECTS_DELETE: ['metaobjects/delete'],
+  METAOBJECTS_UPDATE: ['metaobjects/update'],
+  ORDER_TRANSACTIONS_CREATE: ['order_transactions/create'],
+  ORDERS_CANCELLED: ['orders/cancelled'],
+  ORDERS_CREATE: ['orders/create'],
+  ORDERS_DELETE: ['orders/delete'],
+  ORDERS_EDITED: ['orders/edited'],
+  ORDERS_FULFILLED: ['orders/fulfilled'],
+  ORDERS_PAID: ['orders/paid'],
+  ORDERS_PARTIALLY_FULFILLED: ['orders/partially_fulfilled'],
+  ORDERS_UPDATED: ['orders/updated'],
+  PRODUCT_LISTINGS_ADD: ['product_listings/add'],
+  PRODUCT_LISTINGS_REMOVE: ['product_listings/remove'],
+  PRODUCT_LISTINGS_UPDATE: ['product_listings/update'],
+  PRODUCTS_CREATE: ['products/create'],
+  PRODUCTS_DELETE: ['products/delete'],
+  PRODUCTS_UPDATE: ['products/update'],
+  REFUNDS_CREATE: ['refunds/create'],
+  RETURNS_APPROVE: ['returns/approve'],
+  RETURNS_CANCEL: ['returns/cancel'],
+  RETURNS_CLOSE: ['returns/close'],
+  RETURNS_DECLINE: ['returns/decline'],
+  RETURNS_REOPEN: ['returns/reopen'],
+  RETURNS_REQUEST: ['returns/request'],
+  SELLING_PLAN_GROUPS_CREATE: ['selling_plan_groups/create'],
+  SELLING_PLAN_GROUPS_DELETE: ['selling_plan_groups/delete'],
+  SELLING_PLAN_GROUPS_UPDATE: ['selling_plan_groups/update'],
+  SHOP_REDACT: ['shop/redact'],
+  SHOP_UPDATE: ['shop/update'],
+  SUBSCRIPTION_BILLING_ATTEMPTS_FAILURE: ['subscription_billing_attempts/failure'],
+  SUBSCRIPTION_BILLING_ATTEMPTS_SUCCESS: ['subscription_billing_attempts/success'],
+  SUBSCRIPTION_CONTRACTS_CREATE: ['subscription_contracts/create'],
+  SUBSCRIPTION_CONTRACTS_UPDATE: ['subscription_contracts/update'],
+  TENDER_TRANSACTIONS_CREATE: ['tender_transactions/create'],
+  THEMES_PUBLISH: ['themes/publish']
+};
 
-export default async function deployShopify(tunnelUrl, filename) {
+export default async function deployShopify(appUrl, filename) {
   const tomlPath = path.join(process.cwd(), filename);
-  const tomlContent = fs.readFileSync(tomlPath, 'utf8');
-  const tomlData = parse(tomlContent);
-
-  const currentOrigin = new URL(tomlData.application_url).origin;
-  let updatedContent = tomlContent.replaceAll(currentOrigin, tunnelUrl);
-
-  const webhooks = await scanWebhookFiles();
-  const allTopics = webhooks.map(w => convertTopicFormat(w.topic));
-  const topics = allTopics.filter(t => !COMPLIANCE_TOPICS.includes(t));
-
-  updatedContent = updateWebhooksSection(updatedContent, topics, tunnelUrl, tomlData.webhooks.api_version);
+  fs.writeFileSync(tomlPath, await patchShopifyConfig(appUrl, filename));
+}
 
-  fs.writeFileSync(tomlPath, updatedContent);
+export async function diffShopifyConfig(appUrl, filename) {
+  const tomlPath = path.join(process.cwd(), filename);
+  return diffLines(fs.readFileSync(tomlPath, 'utf8'), await patchShopifyConfig(appUrl, filename));
 }
 
 export function readCache() {
-  if (!fs.existsSync(CACHE_PATH)) {
+  const cachePath = path.join(process.cwd(), getConfig().outDir, CACHE_FILE);
+  if (!fs.existsSync(cachePath)) {
     return {};
   }
-  return JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8'));
+  return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
 }
 
 export function writeCache(data) {
-  const cacheDir = path.dirname(CACHE_PATH);
+  const cacheDir = path.join(process.cwd(), getConfig().outDir);
   fs.mkdirSync(cacheDir, { recursive: true });
-  fs.writeFileSync(CACHE_PATH, JSON.stringify(data, null, 2));
+  fs.writeFileSync(path.join(cacheDir, CACHE_FILE), JSON.stringify({ ...readCache(), ...data }, null, 2));
+}
+
+export async function isAppRegistered(appUrl, filename) {
+  // The patched toml holds the URL, webhook topics, proxy and scopes, so any change to them registers again
+  return readCache().registeredConfigs?.[filename] === hashContent(await patchShopifyConfig(appUrl, filename));
+}
+
+export function writeRegisteredConfig(filename) {
+  const tomlPath = path.join(process.cwd(), filename);
+  writeCache({ registeredConfigs: { ...readCache().registeredConfigs, [filename]: hashContent(fs.readFileSync(tomlPath, 'utf8')) } });
 }
 
 export async function scanShopifyConfigs(skipCache = false) {
@@ -76,42 +173,137 @@ export function readShopifyEnv(filename) {
   return {
     SHOPIFY_API_KEY: tomlData.client_id,
     SHOPIFY_SCOPES: tomlData.access_scopes?.scopes || '',
+    SHOPIFY_API_VERSION: readApiVersion(filename) || '',
   };
 }
 
+export function readApiVersion(filename) {
+  // ryziz.config.js wins and is written back to the toml on deploy, so the two can't drift
+  const tomlPath = path.join(process.cwd(), filename);
+  return getConfig().apiVersion || parse(fs.readFileSync(tomlPath, 'utf8')).webhooks?.api_version;
+}
+
+async function patchShopifyConfig(appUrl, filename) {
+  const tomlPath = path.join(process.cwd(), filename);
+  const tomlContent = fs.readFileSync(tomlPath, 'utf8');
+  const tomlData = parse(tomlContent);
+
+  const currentOrigin = new URL(tomlData.application_url).origin;
+  const updatedContent = tomlContent.replaceAll(currentOrigin, appUrl);
+
+  const webhooks = await scanWebhookFiles();
+  const unknown = webhooks.find(w => !convertTopicFormat(w.topic));
+  if (unknown) {
+    throw new Error(`Unknown webhook topic ${unknown.topic} in ${path.relative(process.cwd(), unknown.file)}, export it in toml form instead, e.g. 'orders/create'`);
+  }
+  const allTopics = [...new Set(webhooks.map(w => convertTopicFormat(w.topic)))];
+  const topics = allTopics.filter(t => !COMPLIANCE_TOPICS.includes(t));
+
+  const webhooksContent = updateWebhooksSection(ensureTable(updatedContent, 'webhooks'), topics, appUrl, readApiVersion(filename));
+  const proxies = await scanProxyFiles();
+
+  return proxies.length > 0 ? updateAppProxySection(ensureTable(webhooksContent, 'app_proxy'), appUrl) : webhooksContent;
+}
+
 function updateWebhooksSection(tomlContent, topics, url, apiVersion) {
+  const webhookUrl = `${url}${getConfig().paths.webhook}`;
   const isLocalhost = url.includes('localhost') || url.includes('127.0.0.1');
   const updated = parse(tomlContent);
 
+  updated.webhooks = {
+    ...(apiVersion && { api_version: apiVersion })
+  };
+  // toml-patch can't add entries to an existing array of tables, so subscriptions are cleared and written fresh
+  const clearedContent = patch(tomlContent, updated);
+
   if (isLocalhost) {
-    updated.webhooks = {
-      api_version: apiVersion
-    };
-    return patch(tomlContent, updated);
+    return clearedContent;
   }
 
   const subscriptions = [
     {
       compliance_topics: COMPLIANCE_TOPICS,
-      uri: `${url}/webhook`
+      uri: webhookUrl
     }
   ];
 
   if (topics.length > 0) {
     subscriptions.push({
       topics,
-      uri: `${url}/webhook`
+      uri: webhookUrl
     });
   }
 
-  updated.webhooks = {
-    api_version: apiVersion,
-    subscriptions
+  updated.webhooks.subscriptions = subscriptions;
+
+  return patch(clearedContent, updated);
+}
+
+function updateAppProxySection(tomlContent, url) {
+  const updated = parse(tomlContent);
+
+  // Merchants see the storefront path, so a subpath they already chose is kept
+  updated.app_proxy = {
+    url: `${url}/proxy`,
+    subpath: updated.app_proxy.subpath || 'proxy',
+    prefix: updated.app_proxy.prefix || 'apps'
   };
 
   return patch(tomlContent, updated);
 }
 
-function convertTopicFormat(topic) {
-  return topic.toLowerCase().replace('_', '/');
+function ensureTable(tomlContent, name) {
+  // toml-patch inserts new tables at the top of the file, over its leading comment
+  return parse(tomlContent)[name] ? tomlContent : `${tomlContent.trimEnd()}\n\n[${name}]\n`;
+}
+
+export function convertTopicFormat(topic) {
+  // Resource and event can't be told apart in the enum, CUSTOMERS_MARKETING_CONSENT_UPDATE is customers_marketing_consent/update
+  if (topic.includes('/')) return topic.toLowerCase();
+  return WEBHOOK_TOPICS[topic]?.[0] ?? null;
+}
+
+export function listWebhookTopics(apiVersion) {
+  // 'unstable' sorts after every dated version, so it gets all topics
+  return Object.entries(WEBHOOK_TOPICS)
+    .filter(([, [, since]]) => !since || !apiVersion || since <= apiVersion)
+    .map(([topic]) => topic);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push(`- ${a[i]}`);
+      i++;
+    } else {
+      lines.push(`+ ${b[j]}`);
+      j++;
+    }
+  }
+
+  return lines.join('\n');
 }
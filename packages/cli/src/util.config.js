@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const CONFIG_FILE = 'ryziz.config.js';
+const DEFAULTS = {
+  srcDir: 'src',
+  outDir: '.ryziz',
+  port: 8080,
+  liveReloadPort: 8005,
+  mockPort: 8006,
+  mockDir: 'mocks',
+  apiVersion: null,
+  paths: { auth: '/auth', webhook: '/webhook' },
+  esbuild: { plugins: [], loader: {}, define: {} },
+  functions: {},
+  sessionStorage: {}
+};
+
+let config = resolveConfig({});
+
+export default async function loadConfig() {
+  const configPath = path.join(process.cwd(), CONFIG_FILE);
+  const module = fs.existsSync(configPath)
+    ? await import(`${pathToFileURL(configPath).href}?t=${Date.now()}`)
+    : {};
+
+  config = resolveConfig(module.default || {});
+  return config;
+}
+
+export function getConfig() {
+  return config;
+}
+
+export function defineConfig(userConfig) {
+  return userConfig;
+}
+
+function resolveConfig(userConfig) {
+  return {
+    ...DEFAULTS,
+    ...userConfig,
+    paths: { ...DEFAULTS.paths, ...userConfig.paths },
+    esbuild: { ...DEFAULTS.esbuild, ...userConfig.esbuild },
+    functions: { ...DEFAULTS.functions, ...userConfig.functions },
+    sessionStorage: { ...DEFAULTS.sessionStorage, ...userConfig.sessionStorage }
+  };
+}
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { glob } from 'glob';
+import { parse } from 'toml-patch';
+import { fileURLToPath } from 'url';
+import { scanPageFiles } from './build.frontend.js';
+import { scanApiFiles, scanProxyFiles, scanWebhookFiles } from './build.backend.js';
+import { scanShopifyConfigs, listWebhookTopics, convertTopicFormat } from './deploy.shopify.js';
+import { readProjectId } from './deploy.firebase.js';
+import { getConfig } from './util.config.js';
+import { toTopic } from './util.generate.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REQUIRED_TOML_KEYS = ['client_id', 'application_url', 'access_scopes.scopes'];
+const COMPLIANCE_TOPICS = ['CUSTOMERS_DATA_REQUEST', 'CUSTOMERS_REDACT', 'SHOP_REDACT'];
+// Admin API resources and their scope, a mutation like productCreate needs write_ and anything else read_
+const RESOURCE_SCOPES = {
+  cart: 'orders',
+  checkout: 'orders',
+  collection: 'products',
+  company: 'customers',
+  customer: 'customers',
+  discount: 'discounts',
+  draft_order: 'draft_orders',
+  fulfillment: 'fulfillments',
+  inventory_item: 'inventory',
+  inventory_level: 'inventory',
+  location: 'locations',
+  metaobject: 'metaobjects',
+  order: 'orders',
+  product: 'products',
+  refund: 'orders',
+  return: 'returns',
+  selling_plan_group: 'products',
+  subscription_contract: 'own_subscription_contracts',
+  theme: 'themes'
+};
+
+export async function checkRoutes() {
+  const groups = [await scanPageFiles(), await scanApiFiles(), await scanProxyFiles()];
+
+  // /products/:id and /products/:slug match the same URLs, so params are compared by position only
+  return groups.flatMap(routes => findDuplicates(routes, route => route.path.replace(/:[^/]+/g, ':param'))
+    .map(([first, ...others]) => ({
+      level: 'error',
+      message: `${[first, ...others].map(r => relative(r.file)).join(', ')} all map to ${first.path}`
+    })));
+}
+
+export async function checkWebhooks() {
+  const files = await glob(path.join(process.cwd(), getConfig().srcDir, 'webhooks.*.js'));
+  const webhooks = (await scanWebhookFiles()).filter(w => !w.handler);
+  const { configs } = await scanShopifyConfigs(true);
+  const apiVersions = getConfig().apiVersion
+    ? [getConfig().apiVersion]
+    : [...new Set(configs.map(c => readToml(c.value).webhooks?.api_version).filter(Boolean))];
+
+  const dropped = files
+    .filter(file => !webhooks.some(w => w.file === path.resolve(file)))
+    .map(file => ({
+      level: 'error',
+      message: fs.readFileSync(file, 'utf8').includes('TOPIC')
+        ? `${relative(file)} is ignored, TOPIC must be a quoted string: export const TOPIC = 'ORDERS_CREATE'`
+        : `${relative(file)} is ignored, it has no TOPIC export`
+    }));
+
+  // Shopify adds topics faster than the table grows, so only a topic in toml form is sure to deploy
+  const unknown = webhooks.flatMap(w => apiVersions
+    .filter(version => !listWebhookTopics(version).includes(toTopic(w.topic)))
+    .map(version => ({
+      level: 'warning',
+      message: `${relative(w.file)} has topic ${w.topic} unknown for api_version ${version}, use the toml form like 'orders/create' if it is new`
+    })));
+
+  const missingHandle = webhooks
+    .filter(w => !/export\s+(async\s+)?function\s+handle\b|export\s+const\s+handle\b/.test(fs.readFileSync(w.file, 'utf8')))
+    .map(w => ({ level: 'error', message: `${relative(w.file)} has no handle export` }));
+
+  const duplicates = findDuplicates(webhooks, w => toTopic(w.topic)).map(group => ({
+    level: 'warning',
+    message: `${group.map(w => relative(w.file)).join(', ')} all handle ${group[0].topic} and run in sequence`
+  }));
+
+  return [...dropped, ...unknown, ...missingHandle, ...duplicates];
+}
+
+export async function checkConfigs() {
+  const { configs } = await scanShopifyConfigs(true);
+  if (configs.length === 0) {
+    return [{ level: 'error', message: 'No shopify.app*.toml found. Try running: npm run link' }];
+  }
+
+  const tomls = configs.map(c => ({ name: c.value, data: readToml(c.value) }));
+  const missingKeys = tomls.flatMap(({ name, data }) => REQUIRED_TOML_KEYS
+    .filter(key => key.split('.').reduce((value, part) => value?.[part], data) === undefined)
+    .map(key => ({ level: 'error', message: `${name} is missing ${key}` })));
+
+  // apiVersion in ryziz.config.js wins, without either functions run on the newest stable version they know
+  const missingApiVersion = getConfig().apiVersion
+    ? []
+    : tomls
+      .filter(({ data }) => !data.webhooks?.api_version)
+      .map(({ name }) => ({ level: 'warning', message: `${name} is missing webhooks.api_version, set it or apiVersion in ryziz.config.js to pin one` }));
+
+  // Dev and production configs drifting apart means code tested locally can fail on scopes in production
+  const [base, ...others] = tomls;
+  const scopeDrift = others
+    .filter(({ data }) => toScopes(data).join() !== toScopes(base.data).join())
+    .map(({ name, data }) => ({
+      level: 'warning',
+      message: `${name} scopes (${toScopes(data).join(', ')}) differ from ${base.name} (${toScopes(base.data).join(', ')})`
+    }));
+
+  const usedScopes = await scanUsedScopes();
+  const missingScopes = tomls.flatMap(({ name, data }) => Object.entries(usedScopes)
+    .filter(([scope]) => !hasScope(toScopes(data), scope))
+    .map(([scope, files]) => ({ level: 'warning', message: `${name} scopes lack ${scope}, used by ${files.join(', ')}` })));
+
+  const firebaserc = readProjectId()
+    ? []
+    : [{ level: 'error', message: '.firebaserc has no default project' }];
+
+  return [...missingKeys, ...missingApiVersion, ...scopeDrift, ...missingScopes, ...firebaserc];
+}
+
+export async function checkPorts() {
+  const firebaseJson = JSON.parse(fs.readFileSync(path.join(__dirname, '../../functions/firebase.json'), 'utf8'));
+  firebaseJson.emulators.hosting.port = getConfig().port;
+  const servers = [
+    ...Object.entries(firebaseJson.emulators)
+      .filter(([, config]) => config.port)
+      .map(([name, { port }]) => [`the ${name} emulator`, port]),
+    ['live reload', getConfig().liveReloadPort],
+    ['mock Shopify', getConfig().mockPort]
+  ];
+  const inUse = await Promise.all(servers.map(([, port]) => isPortInUse(port)));
+
+  return servers
+    .filter((_, i) => inUse[i])
+    .map(([name, port]) => ({ level: 'error', message: `Port ${port} for ${name} is already in use` }));
+}
+
+async function scanUsedScopes() {
+  const used = {};
+  const use = (scope, file) => {
+    used[scope] = [...new Set([...(used[scope] || []), relative(file)])];
+  };
+
+  // Webhook topics need read access to their resource, compliance topics are sent to every app
+  (await scanWebhookFiles())
+    .filter(w => !w.handler && !COMPLIANCE_TOPICS.includes(w.topic))
+    .forEach(w => {
+      const scope = RESOURCE_SCOPES[toResource(convertTopicFormat(w.topic)?.split('/')[0] || '')];
+      if (scope) use(`read_${scope}`, w.file);
+    });
+
+  // GraphQL documents are template literals starting with query or mutation
+  const files = await glob(path.join(process.cwd(), getConfig().srcDir, '**/*.{js,jsx}'));
+  for (const file of files) {
+    for (const [, document] of fs.readFileSync(file, 'utf8').matchAll(/`([^`]*)`/g)) {
+      const operation = document.match(/^\s*(?:#graphql\s*)?(query|mutation)\b/)?.[1];
+      if (!operation) continue;
+
+      for (const [, field] of document.matchAll(/\b([a-z]\w*)\s*[({]/g)) {
+        const name = toResource(field);
+        const resource = Object.keys(RESOURCE_SCOPES).find(r => name === r || name.startsWith(`${r}_`));
+        if (!resource) continue;
+
+        const access = operation === 'mutation' && name !== resource ? 'write' : 'read';
+        use(`${access}_${RESOURCE_SCOPES[resource]}`, file);
+      }
+    }
+  }
+
+  return used;
+}
+
+function hasScope(scopes, scope) {
+  // A write scope grants read access too
+  return scopes.includes(scope) || scopes.includes(scope.replace(/^read_/, 'write_'));
+}
+
+function toResource(name) {
+  // productVariants, product_variants and PRODUCT_VARIANTS all become product_variant
+  return name
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split('_')
+    .map(word => word.replace(/ies$/, 'y').replace(/s$/, ''))
+    .join('_');
+}
+
+function findDuplicates(items, getKey) {
+  const groups = items.reduce((map, item) => map.set(getKey(item), [...(map.get(getKey(item)) || []), item]), new Map());
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+function isPortInUse(port) {
+  return new Promise(resolve => {
+    const server = net.createServer()
+      .once('error', () => resolve(true))
+      .once('listening', () => server.close(() => resolve(false)))
+      .listen(port, '127.0.0.1');
+  });
+}
+
+function readToml(filename) {
+  return parse(fs.readFileSync(path.join(process.cwd(), filename), 'utf8'));
+}
+
+function toScopes(data) {
+  return (data.access_scopes?.scopes || '').split(',').map(s => s.trim()).filter(Boolean).sort();
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file);
+}
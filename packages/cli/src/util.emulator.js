@@ -0,0 +1,28 @@
+import { getConfig } from './util.config.js';
+
+const FUNCTIONS_URL = 'http://127.0.0.1:8001';
+const DEFAULT_REGION = 'us-central1';
+
+export default async function requestEmulator(url, init) {
+  const response = await fetch(url, init);
+  const logs = response.headers.get('X-Ryziz-Logs');
+
+  return {
+    status: response.status,
+    body: await response.text(),
+    logs: logs ? JSON.parse(Buffer.from(logs, 'base64').toString('utf8')) : []
+  };
+}
+
+export function runCron(name, projectId) {
+  const region = getConfig().functions.region || DEFAULT_REGION;
+  return requestEmulator(`${FUNCTIONS_URL}/${projectId}/${region}/runCron/${name}`, { method: 'POST' });
+}
+
+export function formatResult({ status, body, logs }) {
+  return [
+    `Status: ${status}`,
+    body && `Body: ${body}`,
+    logs.length > 0 && `Logs:\n${logs.map(line => `  ${line.replace(/\n/g, '\n  ')}`).join('\n')}`
+  ].filter(Boolean).join('\n');
+}
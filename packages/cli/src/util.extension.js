@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+const EXTENSIONS_DIR = 'extensions';
+const ENV_FILE = 'src/ryziz.env.js';
+
+export default function generateExtension(type, name) {
+  const handle = toHandle(name);
+  const source = path.join(TEMPLATES_DIR, `extension.${type}`);
+  const target = getExtensionDir(name);
+
+  fs.readdirSync(source, { recursive: true }).forEach(file => {
+    const sourcePath = path.join(source, file);
+    if (fs.statSync(sourcePath).isDirectory()) return;
+
+    const targetPath = path.join(target, file);
+    const content = fs.readFileSync(sourcePath, 'utf8')
+      .replaceAll('__NAME__', name)
+      .replaceAll('__HANDLE__', handle);
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, content);
+  });
+
+  return target;
+}
+
+export function listExtensionTypes() {
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter(dir => dir.startsWith('extension.'))
+    .map(dir => dir.replace('extension.', ''));
+}
+
+export function getExtensionDir(name) {
+  return path.join(process.cwd(), EXTENSIONS_DIR, toHandle(name));
+}
+
+export async function scanExtensions() {
+  const pattern = path.join(process.cwd(), EXTENSIONS_DIR, '*/shopify.extension.toml');
+  const files = await glob(pattern);
+
+  return files.map(file => path.dirname(file));
+}
+
+export async function writeExtensionsEnv(appUrl) {
+  // Extensions run on Shopify's domains and can't read our .env, the URL is baked in at build
+  const extensions = await scanExtensions();
+
+  extensions
+    .map(dir => path.join(dir, ENV_FILE))
+    .filter(file => fs.existsSync(file))
+    .forEach(file => {
+      fs.writeFileSync(file, `// Rewritten by \`ryziz dev\` and \`ryziz deploy\` with the tunnel or production URL\nexport const APP_URL = '${appUrl}';\n`);
+    });
+}
+
+function toHandle(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
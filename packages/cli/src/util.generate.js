@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig } from './util.config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+const KINDS = {
+  page: { prefix: 'page', extension: 'jsx' },
+  api: { prefix: 'api', extension: 'js' },
+  webhook: { prefix: 'webhooks', extension: 'js' },
+  cron: { prefix: 'cron', extension: 'js' }
+};
+
+export default function generateFile(kind, name, values = {}) {
+  const file = getFilePath(kind, name);
+  const content = Object.entries({ ...values, COMPONENT: toComponentName(name), NAME: name })
+    .reduce((text, [key, value]) => text.replaceAll(`__${key}__`, value), fs.readFileSync(getTemplatePath(kind), 'utf8'));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+export function getFilePath(kind, name) {
+  const { prefix, extension } = KINDS[kind];
+  return path.join(process.cwd(), getConfig().srcDir, `${prefix}.${toSegments(name).join('.')}.${extension}`);
+}
+
+export function toTopic(input) {
+  return input.toUpperCase().replace(/[/.-]/g, '_');
+}
+
+export function toWebhookName(topic) {
+  return topic.toLowerCase().replaceAll('_', '-');
+}
+
+function getTemplatePath(kind) {
+  return path.join(TEMPLATES_DIR, `${kind}.${KINDS[kind].extension}`);
+}
+
+function toSegments(name) {
+  // Accepts route style names: products/:id, products/[id] and products.$id all become products.$id
+  const segments = name
+    .split(/[/.]/)
+    .filter(Boolean)
+    .map(segment => segment.replace(/^:(.+)$/, '$$$1').replace(/^\[(.+)\]$/, '$$$1'));
+
+  return segments.length > 0 ? segments : ['index'];
+}
+
+function toComponentName(name) {
+  const component = toSegments(name)
+    .flatMap(segment => segment.replace('$', '').split(/[^a-zA-Z0-9]+/))
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  return /^[A-Z]/.test(component) ? component : `Page${component}`;
+}
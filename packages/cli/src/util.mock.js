@@ -0,0 +1,350 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import { glob } from 'glob';
+import { Kind, parse, valueFromASTUntyped } from 'graphql';
+import { getConfig } from './util.config.js';
+import { createSessionToken, sign } from './util.sign.js';
+
+// Same shop webhook trigger sends by default, so handlers find the session /auth stored for it
+export const MOCK_SHOP = 'ryziz-dev.myshopify.com';
+export const MOCK_SECRET = 'ryziz-offline-secret';
+const WRAPPER_FIELDS = ['edges', 'node', 'nodes', 'pageInfo'];
+const MUTATION_COST = 10;
+const THROTTLE = { maximumAvailable: 2000, restoreRate: 100 };
+const DEFAULT_FIXTURES = {
+  shop: {
+    id: 'gid://shopify/Shop/548380009',
+    name: 'Ryziz Dev',
+    email: `owner@${MOCK_SHOP}`,
+    myshopifyDomain: MOCK_SHOP,
+    currencyCode: 'USD',
+    plan: { displayName: 'Developer Preview', partnerDevelopment: true }
+  },
+  products: [
+    {
+      id: 'gid://shopify/Product/632910392',
+      title: 'Example T-Shirt',
+      handle: 'example-t-shirt',
+      vendor: 'Acme',
+      productType: 'Shirts',
+      status: 'ACTIVE',
+      tags: ['example', 'mens', 't-shirt'],
+      totalInventory: 75,
+      variants: [
+        { id: 'gid://shopify/ProductVariant/808950810', title: 'Small', price: '19.99', sku: 'example-shirt-s', inventoryQuantity: 75 }
+      ],
+      createdAt: '2025-01-01T00:00:00Z',
+      updatedAt: '2025-01-01T00:00:00Z'
+    },
+    {
+      id: 'gid://shopify/Product/632910393',
+      title: 'Example Hoodie',
+      handle: 'example-hoodie',
+      vendor: 'Acme',
+      productType: 'Sweaters',
+      status: 'DRAFT',
+      tags: ['example'],
+      totalInventory: 0,
+      variants: [
+        { id: 'gid://shopify/ProductVariant/808950811', title: 'Medium', price: '49.00', sku: 'example-hoodie-m', inventoryQuantity: 0 }
+      ],
+      createdAt: '2025-01-02T00:00:00Z',
+      updatedAt: '2025-01-02T00:00:00Z'
+    }
+  ],
+  orders: [
+    {
+      id: 'gid://shopify/Order/450789469',
+      name: '#1001',
+      email: 'john@example.com',
+      displayFinancialStatus: 'PAID',
+      displayFulfillmentStatus: 'UNFULFILLED',
+      totalPriceSet: { shopMoney: { amount: '19.99', currencyCode: 'USD' } },
+      customer: { id: 'gid://shopify/Customer/207119551', email: 'john@example.com' },
+      lineItems: [
+        { id: 'gid://shopify/LineItem/466157049', title: 'Example T-Shirt', quantity: 1, sku: 'example-shirt-s' }
+      ],
+      createdAt: '2025-01-03T00:00:00Z',
+      updatedAt: '2025-01-03T00:00:00Z'
+    }
+  ],
+  customers: [
+    {
+      id: 'gid://shopify/Customer/207119551',
+      email: 'john@example.com',
+      firstName: 'John',
+      lastName: 'Smith',
+      state: 'ENABLED',
+      numberOfOrders: '1',
+      createdAt: '2025-01-01T00:00:00Z',
+      updatedAt: '2025-01-03T00:00:00Z'
+    }
+  ]
+};
+
+export default async function startMockShopify({ apiKey, appUrl }) {
+  const context = { apiKey, appUrl, fixtures: await loadFixtures(), buckets: new Map(), scopes: new Map() };
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, context).catch((error) => {
+      sendJson(res, 500, { errors: error.message });
+    });
+  });
+
+  server.listen(getConfig().mockPort, '127.0.0.1');
+  await new Promise((resolve, reject) => server.once('listening', resolve).once('error', reject));
+  return server;
+}
+
+export function getMockUrl() {
+  return `http://127.0.0.1:${getConfig().mockPort}`;
+}
+
+export function createAppBridgeScript(mockUrl) {
+  // Stands in for App Bridge's idToken(), authenticatedFetch needs nothing else from it
+  return `<script>window.shopify = { idToken: () => fetch('${mockUrl}/session-token?shop=' + (sessionStorage.getItem('shopify:shop') || '${MOCK_SHOP}')).then((res) => res.text()) };</script>`;
+}
+
+async function handleRequest(req, res, context) {
+  const url = new URL(req.url, getMockUrl());
+  // functions rewrites https://<shop>/admin/... to /shops/<shop>/admin/...
+  const [, shop, route] = url.pathname.match(/^\/shops\/([^/]+)(\/.*)$/) || [];
+
+  if (url.pathname === '/session-token') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.end(createSessionToken({ shop: url.searchParams.get('shop') || MOCK_SHOP, apiKey: context.apiKey, secret: MOCK_SECRET }));
+  } else if (shop === 'admin.shopify.com') {
+    // The embedded app URL after OAuth, there is no admin to frame the app so it opens directly
+    const [, store] = route.match(/^\/store\/([^/]+)/) || [];
+    redirect(res, `${context.appUrl}/?shop=${store}.myshopify.com&host=${toHost(store)}`);
+  } else if (route === '/admin/oauth/authorize') {
+    // The token exchange doesn't repeat the scopes, so they are remembered until then
+    context.scopes.set(shop, url.searchParams.get('scope') || '');
+    redirect(res, createCallbackUrl(shop, url.searchParams));
+  } else if (route === '/admin/oauth/access_token' && req.method === 'POST') {
+    sendJson(res, 200, { access_token: `shpat_offline_${shop}`, scope: context.scopes.get(shop) || '' });
+  } else if (/^\/admin\/api\/[^/]+\/graphql\.json$/.test(route) && req.method === 'POST') {
+    const { query, variables, operationName } = JSON.parse(await readBody(req));
+    sendJson(res, 200, runQuery(query, variables, operationName, shop, context));
+  } else {
+    sendJson(res, 404, { errors: `Not found in mock Shopify: ${req.method} ${url.pathname}` });
+  }
+}
+
+function createCallbackUrl(shop, params) {
+  const callback = new URL(params.get('redirect_uri'));
+  const query = {
+    code: crypto.randomUUID(),
+    host: toHost(shop.replace('.myshopify.com', '')),
+    shop,
+    state: params.get('state'),
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+
+  // Admin HMACs cover the sorted, URL-encoded query without the hmac itself
+  const message = new URLSearchParams(Object.entries(query).sort(([a], [b]) => a.localeCompare(b))).toString();
+  Object.entries({ ...query, hmac: sign(message, MOCK_SECRET, 'hex') }).forEach(([key, value]) => callback.searchParams.set(key, value));
+
+  return callback.href;
+}
+
+function runQuery(query, variables = {}, operationName, shop, { fixtures, buckets }) {
+  const operation = parseQuery(query, variables, operationName);
+  const cost = operation.type === 'mutation' ? MUTATION_COST : Math.max(1, calculateCost(operation.selections));
+  const throttleStatus = consumeCost(buckets, shop, cost);
+  const extensions = {
+    cost: { requestedQueryCost: cost, actualQueryCost: throttleStatus ? cost : null, throttleStatus: throttleStatus || readBucket(buckets, shop) }
+  };
+
+  if (!throttleStatus) {
+    return { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions };
+  }
+
+  const data = Object.fromEntries(operation.selections.map(field => [
+    field.alias,
+    project(operation.type === 'mutation' ? runMutation(field, fixtures) : resolveField(field, fixtures), field)
+  ]));
+  return { data, extensions };
+}
+
+function resolveField({ name, args }, fixtures) {
+  const findNode = (id) => Object.values(fixtures)
+    .filter(Array.isArray)
+    .flat()
+    .find(node => node.id === id) ?? null;
+
+  if (name === 'node') return findNode(args.id);
+  if (name === 'nodes') return (args.ids || []).map(findNode);
+  if (fixtures[name] !== undefined) return fixtures[name];
+  // product(id:), order(id:), customer(id:) look up the plural fixture
+  if (Array.isArray(fixtures[`${name}s`])) return fixtures[`${name}s`].find(node => node.id === args.id) ?? null;
+  return null;
+}
+
+function runMutation({ name, args }, fixtures) {
+  const [, resource, action] = name.match(/^(\w+?)(Create|Update|Delete)$/) || [];
+  const nodes = fixtures[`${resource}s`];
+  if (!Array.isArray(nodes)) {
+    // Unknown mutations succeed with nothing changed, like webhook subscriptions registered after OAuth
+    return { userErrors: [] };
+  }
+
+  const input = Object.values(args).find(value => value && typeof value === 'object' && !Array.isArray(value)) || {};
+  const id = input.id || args.id;
+  const type = resource[0].toUpperCase() + resource.slice(1);
+  const index = nodes.findIndex(node => node.id === id);
+
+  if (action !== 'Create' && index === -1) {
+    return { [resource]: null, userErrors: [{ field: ['id'], message: `${type} does not exist` }] };
+  }
+  if (action === 'Delete') {
+    nodes.splice(index, 1);
+    return { [`deleted${type}Id`]: id, userErrors: [] };
+  }
+
+  const now = new Date().toISOString();
+  if (action === 'Create') {
+    nodes.push({ id: `gid://shopify/${type}/${Date.now()}`, ...input, createdAt: now, updatedAt: now });
+  } else {
+    nodes[index] = { ...nodes[index], ...input, updatedAt: now };
+  }
+  return { [resource]: action === 'Create' ? nodes.at(-1) : nodes[index], userErrors: [] };
+}
+
+function project(value, { args, selections }) {
+  if (value === null || value === undefined) return null;
+  if (selections.length === 0) return value;
+
+  // Fixtures keep nested lists as plain arrays, they become connections when queried as one
+  const isConnection = selections.some(field => ['edges', 'nodes', 'pageInfo'].includes(field.name));
+  if (Array.isArray(value) && isConnection) return project(toConnection(value, args), { args: {}, selections });
+  if (Array.isArray(value)) return value.map(item => project(item, { args, selections }));
+
+  return Object.fromEntries(selections.map(field => [
+    field.alias,
+    field.name === '__typename' ? toTypename(value) : project(value[field.name], field)
+  ]));
+}
+
+function toConnection(items, { first, last, after, before }) {
+  const start = after ? fromCursor(after) + 1 : 0;
+  const end = before ? fromCursor(before) : items.length;
+  const range = items.map((node, i) => ({ node, cursor: toCursor(i) })).slice(start, end);
+  const edges = last ? range.slice(-last) : range.slice(0, first ?? range.length);
+
+  return {
+    edges,
+    nodes: edges.map(edge => edge.node),
+    pageInfo: {
+      hasNextPage: edges.length > 0 && fromCursor(edges.at(-1).cursor) < end - 1,
+      hasPreviousPage: edges.length > 0 && fromCursor(edges[0].cursor) > start,
+      startCursor: edges[0]?.cursor ?? null,
+      endCursor: edges.at(-1)?.cursor ?? null
+    }
+  };
+}
+
+function calculateCost(selections) {
+  // Close to Shopify's estimate: objects cost 1, connections 2 plus their page size times a node, wrappers are free
+  return selections.reduce((sum, field) => {
+    if (field.selections.length === 0) return sum;
+    const size = field.args.first ?? field.args.last;
+    if (size) return sum + 2 + size * calculateCost(field.selections);
+    return sum + (WRAPPER_FIELDS.includes(field.name) ? 0 : 1) + calculateCost(field.selections);
+  }, 0);
+}
+
+function consumeCost(buckets, shop, cost) {
+  const bucket = readBucket(buckets, shop);
+  if (bucket.currentlyAvailable < cost) return null;
+
+  bucket.currentlyAvailable -= cost;
+  return { ...bucket };
+}
+
+function readBucket(buckets, shop) {
+  const bucket = buckets.get(shop) || { ...THROTTLE, currentlyAvailable: THROTTLE.maximumAvailable, updatedAt: Date.now() };
+  const restored = (Date.now() - bucket.updatedAt) / 1000 * THROTTLE.restoreRate;
+
+  bucket.currentlyAvailable = Math.min(THROTTLE.maximumAvailable, bucket.currentlyAvailable + restored);
+  bucket.updatedAt = Date.now();
+  buckets.set(shop, bucket);
+
+  const { updatedAt, ...status } = bucket;
+  return status;
+}
+
+function parseQuery(query, variables, operationName) {
+  // No schema, so arguments are read untyped and enums come through as their name
+  const document = parse(query);
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+  const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION
+    && (!operationName || definition.name?.value === operationName));
+  if (!operation) {
+    throw new Error(`Unknown operation named "${operationName}"`);
+  }
+
+  const defaults = operation.variableDefinitions
+    .filter(definition => definition.defaultValue)
+    .map(definition => [definition.variable.name.value, valueFromASTUntyped(definition.defaultValue)]);
+  const values = { ...Object.fromEntries(defaults), ...variables };
+
+  const toSelections = (selectionSet) => (selectionSet?.selections || []).flatMap(selection => {
+    if (selection.kind === Kind.INLINE_FRAGMENT) return toSelections(selection.selectionSet);
+    if (selection.kind === Kind.FRAGMENT_SPREAD) return toSelections(fragments[selection.name.value]?.selectionSet);
+    return [{
+      alias: selection.alias?.value ?? selection.name.value,
+      name: selection.name.value,
+      args: Object.fromEntries(selection.arguments.map(arg => [arg.name.value, valueFromASTUntyped(arg.value, values) ?? null])),
+      selections: toSelections(selection.selectionSet)
+    }];
+  });
+
+  return { type: operation.operation, selections: toSelections(operation.selectionSet) };
+}
+
+async function loadFixtures() {
+  // mocks/products.json replaces the built-in products, any other file adds a root field of its name
+  const files = await glob(path.join(process.cwd(), getConfig().mockDir, '*.json'));
+  const overrides = files.map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(file, 'utf8'))]);
+
+  return structuredClone({ ...DEFAULT_FIXTURES, ...Object.fromEntries(overrides) });
+}
+
+function toTypename(value) {
+  return value.__typename ?? value.id?.match(/^gid:\/\/shopify\/(\w+)\//)?.[1] ?? null;
+}
+
+function toHost(store) {
+  return Buffer.from(`admin.shopify.com/store/${store}`).toString('base64');
+}
+
+function toCursor(index) {
+  return Buffer.from(`cursor:${index}`).toString('base64');
+}
+
+function fromCursor(cursor) {
+  return Number(Buffer.from(cursor, 'base64').toString('utf8').split(':')[1]);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
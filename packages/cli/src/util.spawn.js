@@ -1,17 +1,23 @@
 import { spawn } from 'child_process';
 
 const activeProcesses = new Set();
+const MAX_RESTARTS = 5;
+const STABLE_AFTER = 30000;
 
 export async function spawnWithCallback(command, args, options = {}) {
   return new Promise((resolve, reject) => {
-    const { onLine, ...spawnOptions } = options;
+    const { onLine, onExit, input, ...spawnOptions } = options;
     const child = spawn(command, args, {
-      stdio: ['inherit', 'pipe', 'pipe'],
+      stdio: [input === undefined ? 'inherit' : 'pipe', 'pipe', 'pipe'],
       ...spawnOptions
     });
 
     activeProcesses.add(child);
 
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+
     let resolved = false;
     const controls = {
       resolve: (value) => {
@@ -49,13 +55,13 @@ export async function spawnWithCallback(command, args, options = {}) {
     handleStream(child.stderr);
 
     child.on('close', (code) => {
-      if (!resolved) {
-        activeProcesses.delete(child);
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`${command} ${args.join(' ')} failed with code ${code}`));
-        }
+      activeProcesses.delete(child);
+      if (resolved) {
+        if (onExit) onExit(code);
+      } else if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} ${args.join(' ')} failed with code ${code}`));
       }
     });
 
@@ -68,6 +74,32 @@ export async function spawnWithCallback(command, args, options = {}) {
   });
 }
 
+export function superviseWithCallback(command, args, options = {}) {
+  const { onRestart, onReady, ...spawnOptions } = options;
+  let attempt = 0;
+  let startedAt = 0;
+
+  const start = () => {
+    startedAt = Date.now();
+    return spawnWithCallback(command, args, { ...spawnOptions, onExit: restart });
+  };
+
+  const restart = async (code) => {
+    // A process that ran for a while crashed for a new reason, so the backoff starts over
+    if (Date.now() - startedAt > STABLE_AFTER) attempt = 0;
+    if (attempt >= MAX_RESTARTS) {
+      if (onRestart) onRestart({ code, attempt, stopped: true });
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt++));
+    if (onRestart) onRestart({ code, attempt, stopped: false });
+    start().then(onReady, () => restart(code));
+  };
+
+  return start();
+}
+
 process.on('SIGINT', () => {
   activeProcesses.forEach(child => {
     child.kill('SIGTERM');
@@ -0,0 +1,93 @@
+import { superviseWithCallback } from './util.spawn.js';
+import { getConfig } from './util.config.js';
+
+const PROVIDERS = {
+  cloudflared: startQuickTunnel,
+  'cloudflared-named': startNamedTunnel,
+  ngrok: startNgrokTunnel,
+  url: async ({ url }) => url
+};
+
+export default function startTunnel(provider, options = {}) {
+  return PROVIDERS[provider](options);
+}
+
+export function listTunnelProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export function getLocalUrl() {
+  return `http://localhost:${getConfig().port}`;
+}
+
+function startQuickTunnel({ onRestart, onReady }) {
+  // Every restart of a quick tunnel gets a new URL, onReady receives it
+  return superviseWithCallback('npx', [
+    '--yes',
+    'cloudflared',
+    'tunnel',
+    '--url',
+    getLocalUrl()
+  ], {
+    onRestart,
+    onReady,
+    onLine(line, { resolve, reject }) {
+      const match = line.match(/(https:\/\/[^\s]+\.trycloudflare\.com)/);
+      if (match) {
+        resolve(match[1]);
+      }
+
+      if (line.includes('ERR') && (line.includes('429') || line.includes('Too Many Requests'))) {
+        reject(new Error('Tunnel rate limited. Use --tunnel-url, --tunnel ngrok or --use-localhost'));
+      }
+    }
+  });
+}
+
+function startNamedTunnel({ name, hostname, onRestart, onReady }) {
+  // The hostname is routed to the tunnel once with: cloudflared tunnel route dns <name> <hostname>
+  return superviseWithCallback('npx', [
+    '--yes',
+    'cloudflared',
+    'tunnel',
+    'run',
+    '--url',
+    getLocalUrl(),
+    name
+  ], {
+    onRestart,
+    onReady,
+    onLine(line, { resolve, reject }) {
+      if (line.includes('Registered tunnel connection')) {
+        resolve(`https://${hostname}`);
+      }
+      if (line.includes('ERR') && line.includes('not found')) {
+        reject(new Error(`Cloudflare tunnel ${name} not found. Create it with: cloudflared tunnel create ${name}`));
+      }
+    }
+  });
+}
+
+function startNgrokTunnel({ hostname, onRestart, onReady }) {
+  return superviseWithCallback('ngrok', [
+    'http',
+    getLocalUrl(),
+    '--log',
+    'stdout',
+    '--log-format',
+    'logfmt',
+    ...(hostname ? ['--url', hostname] : [])
+  ], {
+    onRestart,
+    onReady,
+    onLine(line, { resolve, reject }) {
+      const match = line.match(/msg="started tunnel".* url=(https:\/\/\S+)/);
+      if (match) {
+        resolve(match[1]);
+      }
+      if (line.includes('lvl=eror') || line.includes('ERR_NGROK')) {
+        reject(new Error(`ngrok failed: ${line}`));
+      }
+    }
+  });
+}
@@ -0,0 +1,43 @@
+import * as esbuild from 'esbuild';
+
+export default function rebuildStatusPlugin(onRebuild) {
+  return {
+    name: 'rebuild-status',
+    setup(build) {
+      let startedAt = 0;
+
+      build.onStart(() => {
+        startedAt = Date.now();
+      });
+      build.onEnd((result) => onRebuild({
+        errors: result.errors,
+        warnings: result.warnings,
+        duration: Date.now() - startedAt
+      }));
+    }
+  };
+}
+
+export async function formatRebuild(name, { errors, warnings, duration }) {
+  const failed = errors.length > 0;
+  const messages = await esbuild.formatMessages(failed ? errors : warnings, {
+    kind: failed ? 'error' : 'warning',
+    color: false
+  });
+
+  return [
+    failed ? `✖ ${name} failed with ${errors.length} error(s)` : `✔ ${name} rebuilt in ${duration}ms`,
+    ...messages.map(message => message.trimEnd())
+  ].join('\n');
+}
+
+export function formatRestart(name, { code, attempt, stopped }) {
+  return stopped
+    ? `✖ ${name} exited with code ${code}, stopped after ${attempt} restarts`
+    : `↻ ${name} exited with code ${code}, restart ${attempt}`;
+}
+
+export function createLiveReloadScript(url) {
+  // esbuild sends a change event on its serve endpoint after every rebuild that changed output
+  return `<script>new EventSource('${url}/esbuild').addEventListener('change', () => location.reload());</script>`;
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import requestEmulator from './util.emulator.js';
+
+export default function triggerWebhook({ topic, payload, shop, url, secret, apiVersion }) {
+  const body = JSON.stringify(payload);
+  const hmac = crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+
+  return requestEmulator(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Hmac-Sha256': hmac,
+      'X-Shopify-Shop-Domain': shop,
+      'X-Shopify-Webhook-Id': crypto.randomUUID(),
+      'X-Shopify-Event-Id': crypto.randomUUID(),
+      'X-Shopify-Triggered-At': new Date().toISOString(),
+      'X-Shopify-API-Version': apiVersion
+    },
+    body
+  });
+}
+
+export function readFixture(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+}
+
+export function createSamplePayload(topic, shop) {
+  const now = new Date().toISOString();
+  const shopId = 548380009;
+  const createSample = SAMPLES[topic] || (() => ({
+    id: 450789469,
+    admin_graphql_api_id: 'gid://shopify/Resource/450789469',
+    created_at: now,
+    updated_at: now
+  }));
+
+  return createSample({ shop, shopId, now });
+}
+
+const SAMPLES = {
+  APP_UNINSTALLED: ({ shop, shopId, now }) => ({
+    id: shopId,
+    name: shop.replace('.myshopify.com', ''),
+    email: `owner@${shop}`,
+    domain: shop,
+    myshopify_domain: shop,
+    plan_name: 'partner_test',
+    country_code: 'US',
+    currency: 'USD',
+    created_at: now,
+    updated_at: now
+  }),
+  SHOP_REDACT: ({ shop, shopId }) => ({
+    shop_id: shopId,
+    shop_domain: shop
+  }),
+  CUSTOMERS_REDACT: ({ shop, shopId }) => ({
+    shop_id: shopId,
+    shop_domain: shop,
+    customer: { id: 207119551, email: 'john@example.com', phone: '555-625-1199' },
+    orders_to_redact: [299938, 280263, 220458]
+  }),
+  CUSTOMERS_DATA_REQUEST: ({ shop, shopId }) => ({
+    shop_id: shopId,
+    shop_domain: shop,
+    orders_requested: [299938, 280263, 220458],
+    customer: { id: 207119551, email: 'john@example.com', phone: '555-625-1199' },
+    data_request: { id: 9999 }
+  }),
+  ORDERS_CREATE: ({ now }) => ({
+    id: 450789469,
+    admin_graphql_api_id: 'gid://shopify/Order/450789469',
+    name: '#9999',
+    email: 'jon@example.com',
+    currency: 'USD',
+    financial_status: 'paid',
+    fulfillment_status: null,
+    total_price: '403.00',
+    subtotal_price: '393.00',
+    line_items: [{
+      id: 466157049,
+      product_id: 632910392,
+      variant_id: 808950810,
+      title: 'IPod Nano - 8GB',
+      quantity: 1,
+      price: '199.00',
+      sku: 'IPOD2008PINK'
+    }],
+    customer: { id: 207119551, email: 'john@example.com', first_name: 'John', last_name: 'Smith' },
+    created_at: now,
+    updated_at: now
+  }),
+  PRODUCTS_CREATE: ({ now }) => ({
+    id: 632910392,
+    admin_graphql_api_id: 'gid://shopify/Product/632910392',
+    title: 'Example T-Shirt',
+    handle: 'example-t-shirt',
+    vendor: 'Acme',
+    product_type: 'Shirts',
+    status: 'active',
+    tags: 'example, mens, t-shirt',
+    variants: [{
+      id: 808950810,
+      product_id: 632910392,
+      title: 'Small',
+      price: '19.99',
+      sku: 'example-shirt-s',
+      inventory_quantity: 75
+    }],
+    created_at: now,
+    updated_at: now
+  }),
+  CUSTOMERS_CREATE: ({ now }) => ({
+    id: 207119551,
+    admin_graphql_api_id: 'gid://shopify/Customer/207119551',
+    email: 'bob@example.com',
+    first_name: 'Bob',
+    last_name: 'Biller',
+    state: 'enabled',
+    verified_email: true,
+    created_at: now,
+    updated_at: now
+  }),
+  BULK_OPERATIONS_FINISH: ({ now }) => ({
+    admin_graphql_api_id: 'gid://shopify/BulkOperation/147595010',
+    completed_at: now,
+    created_at: now,
+    error_code: null,
+    status: 'completed',
+    type: 'query'
+  }),
+  APP_SUBSCRIPTIONS_UPDATE: ({ shop, shopId, now }) => ({
+    app_subscription: {
+      admin_graphql_api_id: 'gid://shopify/AppSubscription/1029266947',
+      name: 'Webhook Test',
+      status: 'ACTIVE',
+      admin_graphql_api_shop_id: `gid://shopify/Shop/${shopId}`,
+      created_at: now,
+      updated_at: now,
+      currency: 'USD',
+      capped_amount: '20.0'
+    },
+    shop
+  })
+};
+
+SAMPLES.ORDERS_UPDATED = SAMPLES.ORDERS_CREATE;
+SAMPLES.PRODUCTS_UPDATE = SAMPLES.PRODUCTS_CREATE;
+SAMPLES.CUSTOMERS_UPDATE = SAMPLES.CUSTOMERS_CREATE;
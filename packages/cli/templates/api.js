@@ -0,0 +1,3 @@
+export async function GET(req, res) {
+  res.json({ params: req.params });
+}
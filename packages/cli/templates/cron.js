@@ -0,0 +1,5 @@
+export const SCHEDULE = '__SCHEDULE__';
+
+export async function run({ scheduleTime }) {
+  console.log('__NAME__ started:', scheduleTime);
+}
@@ -0,0 +1,25 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useEffect, useState } from 'preact/hooks';
+import { APP_URL } from './ryziz.env.js';
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+function Extension() {
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    // Checkout runs on Shopify's domain, so the api route needs `config = { cors: true }`
+    shopify.sessionToken.get().then(async (token) => {
+      const response = await fetch(`${APP_URL}/api/`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      setMessage(data.message);
+    });
+  }, []);
+
+  return <s-banner heading="__NAME__">{message}</s-banner>;
+}
@@ -0,0 +1,2 @@
+// Rewritten by `ryziz dev` and `ryziz deploy` with the tunnel or production URL
+export const APP_URL = 'http://localhost:8080';
@@ -0,0 +1,6 @@
+// The app proxy keeps requests on the shop's domain. src/proxy.*.js files answer them,
+// with res.liquid(html, { layout: false }) so the theme layout isn't rendered twice
+document.querySelectorAll('.__HANDLE__').forEach(async (block) => {
+  const response = await fetch(block.dataset.proxyUrl);
+  if (response.ok) block.innerHTML = await response.text();
+});
@@ -0,0 +1,3 @@
+export default function __COMPONENT__() {
+  return <div>__COMPONENT__</div>;
+}
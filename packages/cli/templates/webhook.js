@@ -0,0 +1,5 @@
+export const TOPIC = '__TOPIC__';
+
+export async function handle({ topic, shop, payload }) {
+  console.log('Webhook received:', { topic, shop, id: payload.id });
+}
@@ -0,0 +1,96 @@
+import type { Session } from '@shopify/shopify-api';
+import type { TaskOptions } from 'firebase-admin/functions';
+import type { CollectionReference } from 'firebase-admin/firestore';
+
+/** One key per job.*.js file, filled in by the jobs.d.ts that ryziz build writes to outDir */
+export interface Jobs {}
+
+/** Any string until the generated jobs.d.ts is included, then only the discovered job names */
+export type JobName = keyof Jobs extends never ? string : keyof Jobs;
+
+export interface FieldError {
+  /** Source and path of the failing value, like body.variants.0.sku */
+  path: string;
+  message: string;
+}
+
+export class ApiError extends Error {
+  constructor(status: number, message: string, fields?: FieldError[]);
+  status: number;
+  fields?: FieldError[];
+}
+
+export function enqueue(name: JobName, payload?: Record<string, unknown>, options?: TaskOptions): Promise<void>;
+
+export interface BulkOperation {
+  id: string;
+  status: string;
+}
+
+export interface BulkOptions {
+  /** Name of the bulk.*.js file that receives the results */
+  handler: string;
+}
+
+export function startBulkQuery(shop: string, query: string, options: BulkOptions): Promise<BulkOperation>;
+export function startBulkMutation(shop: string, mutation: string, variables: Record<string, unknown>[], options: BulkOptions): Promise<BulkOperation>;
+/** source is a local JSONL file or a result URL, children are nested under __children */
+export function runBulkHandler(name: string, options?: { shop?: string; source?: string; operation?: Record<string, unknown> }): Promise<void>;
+export function readBulkResult(source: string): AsyncGenerator<Record<string, any>>;
+
+export interface AdminClient {
+  request(query: string, options?: { variables?: Record<string, unknown> }): Promise<{ data?: any; extensions?: any }>;
+  /** Yields the nodes of the first connection with pageInfo, the query takes a $cursor variable */
+  paginate(query: string, variables?: Record<string, unknown>): AsyncGenerator<any>;
+}
+
+export function createAdminClient(session: Session): AdminClient;
+export function loadOfflineSession(shop: string): Promise<Session | undefined>;
+export function listInstalledShops(): Promise<string[]>;
+
+export interface StorageAdapter {
+  get(name: string, id: string): Promise<Record<string, any> | undefined>;
+  set(name: string, id: string, data: Record<string, any>): Promise<void>;
+  delete(name: string, id: string): Promise<void>;
+  find(name: string, field: string, value: unknown): Promise<Record<string, any>[]>;
+  list(name: string): Promise<{ id: string; data: Record<string, any> }[]>;
+}
+
+export function createStorageAdapter(options?: { adapter?: 'firestore' | 'memory' | 'sqlite' | 'postgres'; [option: string]: unknown }): StorageAdapter;
+/** Resolves to the number of sessions copied */
+export function migrateSessions(from: StorageAdapter, to: StorageAdapter): Promise<number>;
+
+export interface ComplianceHook {
+  /** Field holding the Shopify customer id, used when redact or dataRequest is left out */
+  customerField?: string;
+  redact?(request: { shop: string; customer: { id: number; email?: string }; ordersToRedact: number[] }): Promise<number | void>;
+  dataRequest?(request: { shop: string; customer: { id: number; email?: string } }): Promise<unknown>;
+}
+
+export function registerComplianceHook(collection: string, hook?: ComplianceHook): void;
+
+export interface FieldDefinition {
+  type: 'string' | 'number' | 'boolean' | 'array' | 'object' | 'date';
+  default?: unknown;
+}
+
+export interface ModelDefinition {
+  name: string;
+  fields: Record<string, FieldDefinition>;
+  timestamps: boolean;
+}
+
+export interface Model {
+  get(id: string): Promise<Record<string, any> | undefined>;
+  create(data: Record<string, unknown>, id?: string): Promise<Record<string, any>>;
+  update(id: string, data: Record<string, unknown>): Promise<Record<string, any> | undefined>;
+  delete(id: string): Promise<void>;
+  find(where?: Record<string, unknown>): Promise<Record<string, any>[]>;
+}
+
+export function db(shop: string): {
+  collection(name: string): CollectionReference;
+  model(definition: ModelDefinition): Model;
+};
+
+export function defineModel(name: string, options?: { fields?: Record<string, FieldDefinition>; timestamps?: boolean }): ModelDefinition;
@@ -0,0 +1,108 @@
+import express from 'express';
+import shopify, { cookieStorage, authenticateSession, verifyAppProxy, redirectToMock, reloadHostName } from './functions.shopify.js';
+import { createRouteMiddleware, validateRequest, handleErrors, restoreRawBody, captureLogs, liquidResponse, ApiError } from './functions.middleware.js';
+import { createCronHandler } from './functions.jobs.js';
+import apiRoutes from './routes.config.js';
+import proxyRoutes from './proxies.config.js';
+import webhookHandlers from './webhooks.config.js';
+import cronModules from './crons.config.js';
+
+export function createAuthApp() {
+  const app = express();
+
+  app.use(reloadHostName());
+  app.use(redirectToMock());
+
+  app.get(shopify.config.auth.path, async (req, res, next) => {
+    await shopify.auth.begin()(req, res, next);
+    await cookieStorage.storeCookie(req.query.shop, res.getHeader('Set-Cookie'));
+  });
+
+  app.get(
+    shopify.config.auth.callbackPath,
+    async (req, res, next) => {
+      const cookie = await cookieStorage.loadCookie(req.query.shop);
+      if (cookie) {
+        req.headers.cookie = [
+          req.headers.cookie,
+          ...cookie.map((item) => item.split(';')[0]),
+        ].join('; ');
+      }
+      next();
+    },
+    async (req, res, next) => {
+      await shopify.auth.callback()(req, res, next);
+      await cookieStorage.storeCookie(req.query.shop, res.getHeader('Set-Cookie'));
+    },
+    shopify.redirectToShopifyOrAppRoot()
+  );
+
+  return app;
+}
+
+export function createWebhooksApp() {
+  const app = express();
+  if (process.env.FUNCTIONS_EMULATOR === 'true') {
+    app.use(captureLogs());
+  }
+  app.post(shopify.config.webhooks.path, restoreRawBody(), shopify.processWebhooks({ webhookHandlers }));
+  return app;
+}
+
+export function createApiApp() {
+  return createRoutesApp(apiRoutes, authenticateSession());
+}
+
+export function createProxyApp() {
+  return createRoutesApp(proxyRoutes, verifyAppProxy(), [liquidResponse()]);
+}
+
+function createRoutesApp(routes, authenticate, setup = []) {
+  const app = express();
+  const HTTP_METHODS = ['HEAD', 'GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'ALL'];
+
+  setup.forEach(middleware => app.use(middleware));
+  routes.forEach(route => {
+    const config = route.module.config || {};
+    const middleware = [
+      ...createRouteMiddleware(config),
+      ...(config.auth === false ? [] : [authenticate]),
+      ...route.middleware.flatMap(m => m.middleware || []),
+      ...(route.module.middleware || [])
+    ];
+
+    HTTP_METHODS.forEach(method => {
+      if (route.module[method]) {
+        const schema = route.module.schema?.[method];
+        const validation = schema ? [validateRequest(schema)] : [];
+        app[method.toLowerCase()](route.path, ...middleware, ...validation, route.module[method]);
+      }
+    });
+
+    if (config.cors && !route.module.OPTIONS) {
+      app.options(route.path, ...middleware);
+    }
+  });
+
+  app.use(handleErrors());
+
+  return app;
+}
+
+export function createCronRunnerApp() {
+  const app = express();
+
+  app.use(captureLogs());
+  app.post('/:name', async (req, res) => {
+    const cron = cronModules.find(c => c.name === req.params.name);
+    if (!cron) {
+      throw new ApiError(404, `Unknown cron "${req.params.name}"`);
+    }
+
+    await createCronHandler(cron.module)({ scheduleTime: new Date().toISOString() });
+    res.json({ name: cron.name, status: 'completed' });
+  });
+  app.use(handleErrors());
+
+  return app;
+}
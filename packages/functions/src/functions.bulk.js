@@ -0,0 +1,208 @@
+import fs from 'fs';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { loadOfflineSession, createAdminClient } from './functions.shopify.js';
+import { getTaskQueue } from './functions.jobs.js';
+import bulks from './bulks.config.js';
+
+export async function startBulkQuery(shop, query, { handler } = {}) {
+  // Checked first, a started operation would hold the shop's only bulk slot with nothing to process it
+  findBulk(handler);
+  const client = await createClient(shop);
+  const { data } = await client.request(`
+    mutation BulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `, { variables: { query } });
+
+  return trackOperation(shop, 'query', handler, data.bulkOperationRunQuery);
+}
+
+export async function startBulkMutation(shop, mutation, variables, { handler } = {}) {
+  findBulk(handler);
+  const client = await createClient(shop);
+  const stagedUploadPath = await uploadVariables(client, variables);
+  const { data } = await client.request(`
+    mutation BulkMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `, { variables: { mutation, stagedUploadPath } });
+
+  return trackOperation(shop, 'mutation', handler, data.bulkOperationRunMutation);
+}
+
+export async function runBulkHandler(name, { shop, source, operation = {} } = {}) {
+  const bulk = findBulk(name);
+
+  await bulk.module.run({
+    objects: source ? readBulkResult(source) : (async function* () {})(),
+    shop,
+    session: shop ? await loadOfflineSession(shop) : undefined,
+    operation
+  });
+}
+
+export async function* readBulkResult(source) {
+  const input = /^https?:\/\//.test(source)
+    ? Readable.fromWeb((await fetchResult(source)).body)
+    : fs.createReadStream(source);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  // Children always follow their parent, so a new root line closes the previous tree
+  let root = null;
+  let nodes = new Map();
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    const { __parentId, ...object } = JSON.parse(line);
+    if (__parentId) {
+      const parent = nodes.get(__parentId);
+      if (!parent) {
+        throw new Error(`Bulk result references unknown parent ${__parentId}`);
+      }
+      (parent.__children ||= []).push(object);
+    } else {
+      if (root) yield root;
+      root = object;
+      nodes = new Map();
+    }
+
+    if (object.id) nodes.set(object.id, object);
+  }
+
+  if (root) yield root;
+}
+
+export async function handleBulkOperationFinish({ payload }) {
+  const record = getCollection().doc(toDocId(payload.admin_graphql_api_id));
+  if (!(await record.get()).exists) return;
+
+  await record.update({ status: payload.status.toUpperCase(), finishedAt: FieldValue.serverTimestamp() });
+  // Shopify expects a webhook reply within seconds, results are processed in a task
+  await getTaskQueue('bulkOperations').enqueue({ id: record.id });
+}
+
+export async function processBulkOperation(req) {
+  const record = getCollection().doc(req.data.id);
+  const snapshot = await record.get();
+  // Operations started outside ryziz have nothing to hand their results to
+  if (!snapshot.exists) return;
+
+  const { shop, handler, operationId } = snapshot.data();
+
+  const client = await createClient(shop);
+  const { data } = await client.request(`
+    query BulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+      }
+    }
+  `, { variables: { id: operationId } });
+  const operation = data.node;
+  // Shopify drops operations after a week, a retry would find nothing either
+  if (!operation) {
+    await record.update({ status: 'NOT_FOUND' });
+    return;
+  }
+
+  await record.update({
+    status: operation.status,
+    errorCode: operation.errorCode,
+    objectCount: Number(operation.objectCount)
+  });
+
+  if (operation.status === 'COMPLETED') {
+    await runBulkHandler(handler, { shop, source: operation.url, operation });
+    await record.update({ processedAt: FieldValue.serverTimestamp() });
+  }
+}
+
+async function fetchResult(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Bulk result download failed with ${response.status}`);
+  }
+  return response;
+}
+
+async function createClient(shop) {
+  const session = await loadOfflineSession(shop);
+  if (!session) {
+    throw new Error(`No offline session for ${shop}`);
+  }
+  return createAdminClient(session);
+}
+
+async function trackOperation(shop, type, handler, { bulkOperation, userErrors }) {
+  if (userErrors.length > 0) {
+    throw new Error(`Bulk ${type} failed: ${userErrors.map(e => e.message).join(', ')}`);
+  }
+
+  await getCollection().doc(toDocId(bulkOperation.id)).set({
+    shop,
+    type,
+    handler,
+    operationId: bulkOperation.id,
+    status: bulkOperation.status,
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  return bulkOperation;
+}
+
+async function uploadVariables(client, variables) {
+  const { data } = await client.request(`
+    mutation StagedUpload($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets { url parameters { name value } }
+        userErrors { field message }
+      }
+    }
+  `, {
+    variables: {
+      input: [{
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename: 'variables.jsonl',
+        mimeType: 'text/jsonl',
+        httpMethod: 'POST'
+      }]
+    }
+  });
+
+  const [target] = data.stagedUploadsCreate.stagedTargets;
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append('file', new Blob([variables.map(v => JSON.stringify(v)).join('\n')]), 'variables.jsonl');
+
+  const response = await fetch(target.url, { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(`Bulk variables upload failed with ${response.status}`);
+  }
+
+  return target.parameters.find(p => p.name === 'key').value;
+}
+
+function findBulk(name) {
+  // Handlers are bulk.*.js files, so the name kept in the record still resolves after a cold start
+  const bulk = bulks.find(b => b.name === name);
+  if (!bulk) {
+    throw new Error(`Unknown bulk handler "${name}". Available: ${bulks.map(b => b.name).join(', ')}`);
+  }
+  return bulk;
+}
+
+function getCollection() {
+  return getFirestore().collection('shopify-bulk-operations');
+}
+
+function toDocId(operationId) {
+  return operationId.split('/').pop();
+}
@@ -0,0 +1,125 @@
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { cookieStorage } from './functions.shopify.js';
+import { db as shopDb, SHOPS } from './functions.db.js';
+import { WEBHOOKS } from './functions.webhooks.js';
+
+const AUDIT_LOG = 'shopify-compliance-log';
+const EXPORTS = 'shopify-compliance-exports';
+const hooks = new Map();
+
+export function registerComplianceHook(collection, hook = {}) {
+  hooks.set(collection, hook);
+}
+
+export async function handleAppUninstalled({ shop }) {
+  // shopify-app-express deletes the sessions, the OAuth cookie would otherwise wait for shop/redact
+  await cookieStorage.deleteCookie(shop);
+}
+
+export async function handleShopRedact({ topic, shop, webhookId }) {
+  const records = {};
+  const db = getFirestore();
+
+  // Data written through db(shop) lives under one document
+  const shopDoc = db.collection(SHOPS).doc(shop);
+  for (const collection of await shopDoc.listCollections()) {
+    const { count } = (await collection.count().get()).data();
+    if (count > 0) records[`${SHOPS}/${collection.id}`] = count;
+  }
+  await db.recursiveDelete(shopDoc);
+
+  // The audit log is kept as proof the redaction happened, webhook claims so a redelivery is skipped
+  for (const collection of await db.listCollections()) {
+    if ([AUDIT_LOG, WEBHOOKS, SHOPS].includes(collection.id)) continue;
+
+    const docs = await collection.where('shop', '==', shop).get();
+    await Promise.all(docs.docs.map(doc => db.recursiveDelete(doc.ref)));
+    if (docs.size > 0) records[collection.id] = docs.size;
+  }
+
+  await cookieStorage.deleteCookie(shop);
+  await writeAuditLog({ topic, shop, webhookId, records });
+}
+
+export async function handleCustomersRedact({ topic, shop, payload, webhookId }) {
+  const records = {};
+  const exports = await findExports(shop, payload.customer);
+  await Promise.all(exports.map(doc => doc.ref.delete()));
+  if (exports.length > 0) records[EXPORTS] = exports.length;
+
+  for (const [collection, hook] of hooks) {
+    const redact = hook.redact || defaultRedact(collection, hook.customerField);
+    records[collection] = await redact({
+      shop,
+      customer: payload.customer,
+      ordersToRedact: payload.orders_to_redact || []
+    }) ?? null;
+  }
+
+  await writeAuditLog({ topic, shop, webhookId, customerId: payload.customer?.id ?? null, records });
+}
+
+export async function handleCustomersDataRequest({ topic, shop, payload, webhookId }) {
+  const data = {};
+  const customerId = payload.customer?.id ?? null;
+  const requestId = payload.data_request?.id ?? null;
+
+  for (const [collection, hook] of hooks) {
+    const dataRequest = hook.dataRequest || defaultDataRequest(collection, hook.customerField);
+    data[collection] = await dataRequest({
+      shop,
+      customer: payload.customer,
+      ordersRequested: payload.orders_requested || []
+    });
+  }
+
+  // Shopify doesn't collect the export, so it waits for the merchant outside the log until a redact removes it
+  await getFirestore().collection(EXPORTS).add({ shop, customerId, requestId, data, createdAt: FieldValue.serverTimestamp() });
+  await writeAuditLog({
+    topic,
+    shop,
+    webhookId,
+    customerId,
+    requestId,
+    records: Object.fromEntries(Object.entries(data).map(([collection, docs]) => [collection, docs?.length ?? null]))
+  });
+}
+
+function defaultRedact(collection, customerField = 'customerId') {
+  return async ({ shop, customer }) => {
+    const docs = await findCustomerDocs(collection, customerField, shop, customer);
+    await Promise.all(docs.map(doc => doc.ref.delete()));
+    return docs.length;
+  };
+}
+
+function defaultDataRequest(collection, customerField = 'customerId') {
+  return async ({ shop, customer }) => {
+    const docs = await findCustomerDocs(collection, customerField, shop, customer);
+    return docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  };
+}
+
+async function findCustomerDocs(collection, customerField, shop, customer) {
+  const snapshot = await shopDb(shop)
+    .collection(collection)
+    .where(customerField, '==', customer.id)
+    .get();
+  return snapshot.docs;
+}
+
+async function findExports(shop, customer) {
+  const snapshot = await getFirestore()
+    .collection(EXPORTS)
+    .where('shop', '==', shop)
+    .where('customerId', '==', customer?.id ?? null)
+    .get();
+  return snapshot.docs;
+}
+
+async function writeAuditLog(entry) {
+  await getFirestore().collection(AUDIT_LOG).add({
+    ...entry,
+    createdAt: FieldValue.serverTimestamp()
+  });
+}
@@ -0,0 +1,99 @@
+import { getFirestore } from 'firebase-admin/firestore';
+
+export const SHOPS = 'shops';
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  date: value => value instanceof Date
+};
+
+export function db(shop) {
+  if (!shop) {
+    throw new Error('db() needs the shop domain to scope data to');
+  }
+
+  // Lazy init: getFirestore() called at runtime, not import time
+  const shopDoc = () => getFirestore().collection(SHOPS).doc(shop);
+
+  return {
+    collection: (name) => shopDoc().collection(name),
+    model: (definition) => createModel(shop, shopDoc().collection(definition.name), definition)
+  };
+}
+
+export function defineModel(name, { fields = {}, timestamps = true } = {}) {
+  for (const [field, { type }] of Object.entries(fields)) {
+    if (!TYPES[type]) {
+      throw new Error(`Unknown type "${type}" for ${name}.${field}. Available: ${Object.keys(TYPES).join(', ')}`);
+    }
+  }
+  return { name, fields, timestamps };
+}
+
+function createModel(shop, collection, { name, fields, timestamps }) {
+  const toObject = (doc) => doc.exists ? { id: doc.id, ...fromFirestore(doc.data()) } : undefined;
+
+  return {
+    async get(id) {
+      return toObject(await collection.doc(id).get());
+    },
+    async create(data, id) {
+      const now = new Date();
+      const document = {
+        ...applyDefaults(fields),
+        ...validate(name, fields, data),
+        // Tagged so shop redaction and collection group queries can find it
+        shop,
+        ...(timestamps && { createdAt: now, updatedAt: now })
+      };
+      const ref = id ? collection.doc(id) : collection.doc();
+      await ref.create(document);
+      return { id: ref.id, ...document };
+    },
+    async update(id, data) {
+      await collection.doc(id).update({
+        ...validate(name, fields, data),
+        ...(timestamps && { updatedAt: new Date() })
+      });
+      return this.get(id);
+    },
+    async delete(id) {
+      await collection.doc(id).delete();
+    },
+    async find(where = {}) {
+      const query = Object.entries(where).reduce((q, [field, value]) => q.where(field, '==', value), collection);
+      return (await query.get()).docs.map(toObject);
+    }
+  };
+}
+
+function applyDefaults(fields) {
+  const defaults = {};
+  for (const [field, definition] of Object.entries(fields)) {
+    if (definition.default === undefined) continue;
+    defaults[field] = typeof definition.default === 'function' ? definition.default() : structuredClone(definition.default);
+  }
+  return defaults;
+}
+
+function validate(name, fields, data) {
+  for (const [field, value] of Object.entries(data)) {
+    const definition = fields[field];
+    if (!definition) {
+      throw new Error(`Unknown field ${name}.${field}`);
+    }
+    if (value !== null && !TYPES[definition.type](value)) {
+      throw new Error(`${name}.${field} must be a ${definition.type}`);
+    }
+  }
+  return data;
+}
+
+function fromFirestore(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([field, value]) => [field, value?.toDate?.() ?? value])
+  );
+}
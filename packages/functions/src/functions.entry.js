@@ -1,64 +1,89 @@
 import 'dotenv/config';
-import express from 'express';
 import { onRequest } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
 import { initializeApp } from 'firebase-admin/app';
-import shopify, { cookieStorage } from './functions.shopify.js';
+import { createAuthApp, createWebhooksApp, createApiApp, createProxyApp, createCronRunnerApp } from './functions.app.js';
+import { createJobHandler, createCronHandler, toFunctionId } from './functions.jobs.js';
+import { processBulkOperation } from './functions.bulk.js';
 import apiRoutes from './routes.config.js';
-import webhookHandlers from './webhooks.config.js';
+import proxyRoutes from './proxies.config.js';
+import cronModules from './crons.config.js';
+import jobModules from './jobs.config.js';
+import projectConfig from './project.config.js';
 
-initializeApp();
+const FUNCTION_OPTIONS = {
+  secrets: ['SHOPIFY_API_SECRET', ...projectConfig.secrets],
+  ...(projectConfig.functions.region && { region: projectConfig.functions.region }),
+  ...createRuntimeOptions(projectConfig.functions)
+};
+const MEMORY_OPTIONS = ['128MiB', '256MiB', '512MiB', '1GiB', '2GiB', '4GiB', '8GiB', '16GiB', '32GiB'];
 
-export const auth = onRequest(createAuthApp());
-export const webhooks = onRequest(createWebhooksApp());
-export const api = onRequest(createApiApp());
+initializeApp();
 
-function createAuthApp() {
-  const app = express();
+export const auth = onRequest(FUNCTION_OPTIONS, createAuthApp());
+export const webhooks = onRequest(FUNCTION_OPTIONS, createWebhooksApp());
+export const api = onRequest({ ...FUNCTION_OPTIONS, ...createRoutesOptions(apiRoutes) }, createApiApp());
+export const proxy = proxyRoutes.length > 0
+  ? onRequest({ ...FUNCTION_OPTIONS, ...createRoutesOptions(proxyRoutes) }, createProxyApp())
+  : undefined;
+export const crons = createCronFunctions();
+export const jobs = createJobFunctions();
+export const bulkOperations = onTaskDispatched({
+  ...FUNCTION_OPTIONS,
+  ...createRuntimeOptions({ memory: '1GiB', timeout: 540 }),
+  retryConfig: { maxAttempts: 3, minBackoffSeconds: 60 }
+}, processBulkOperation);
 
-  app.get(shopify.config.auth.path, async (req, res, next) => {
-    await shopify.auth.begin()(req, res, next);
-    await cookieStorage.storeCookie(req.query.shop, res.getHeader('Set-Cookie'));
-  });
+// Cloud Scheduler doesn't run in the emulator, `ryziz cron run` calls crons through here
+export const runCron = process.env.FUNCTIONS_EMULATOR === 'true'
+  ? onRequest(FUNCTION_OPTIONS, createCronRunnerApp())
+  : undefined;
 
-  app.get(
-    shopify.config.auth.callbackPath,
-    async (req, res, next) => {
-      const cookie = await cookieStorage.loadCookie(req.query.shop);
-      if (cookie) {
-        req.headers.cookie = [
-          req.headers.cookie,
-          ...cookie.map((item) => item.split(';')[0]),
-        ].join('; ');
-      }
-      next();
-    },
-    async (req, res, next) => {
-      await shopify.auth.callback()(req, res, next);
-      await cookieStorage.storeCookie(req.query.shop, res.getHeader('Set-Cookie'));
-    },
-    shopify.redirectToShopifyOrAppRoot()
-  );
+function createCronFunctions() {
+  return Object.fromEntries(cronModules.map(cron => {
+    const config = cron.module.config || {};
+    const options = {
+      ...FUNCTION_OPTIONS,
+      ...createRuntimeOptions(config),
+      schedule: cron.module.SCHEDULE,
+      ...(config.timeZone && { timeZone: config.timeZone })
+    };
 
-  return app;
+    return [toFunctionId(cron.name), onSchedule(options, createCronHandler(cron.module))];
+  }));
 }
 
-function createWebhooksApp() {
-  const app = express();
-  app.post(shopify.config.webhooks.path, shopify.processWebhooks({ webhookHandlers }));
-  return app;
+function createJobFunctions() {
+  return Object.fromEntries(jobModules.map(job => {
+    const config = job.module.config || {};
+    const options = {
+      ...FUNCTION_OPTIONS,
+      ...createRuntimeOptions(config),
+      retryConfig: { maxAttempts: config.retries ?? 3, minBackoffSeconds: 30 },
+      ...(config.concurrency && { rateLimits: { maxConcurrentDispatches: config.concurrency } })
+    };
+
+    return [toFunctionId(job.name), onTaskDispatched(options, createJobHandler(job.module))];
+  }));
 }
 
-function createApiApp() {
-  const app = express();
-  const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+function createRoutesOptions(routes) {
+  // All routes share one function, so it gets the largest memory and timeout
+  const configs = routes.map(route => route.module.config || {});
+  const memory = configs
+    .map(c => c.memory)
+    .filter(Boolean)
+    .sort((a, b) => MEMORY_OPTIONS.indexOf(a) - MEMORY_OPTIONS.indexOf(b))
+    .pop();
+  const timeout = Math.max(0, ...configs.map(c => c.timeout || 0));
 
-  apiRoutes.forEach(route => {
-    HTTP_METHODS.forEach(method => {
-      if (route.module[method]) {
-        app[method.toLowerCase()](route.path, route.module[method]);
-      }
-    });
-  });
+  return createRuntimeOptions({ memory, timeout });
+}
 
-  return app;
+function createRuntimeOptions({ memory, timeout }) {
+  return {
+    ...(memory && { memory }),
+    ...(timeout && { timeoutSeconds: timeout })
+  };
 }
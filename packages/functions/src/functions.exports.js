@@ -0,0 +1,7 @@
+export { ApiError } from './functions.middleware.js';
+export { enqueue } from './functions.jobs.js';
+export { startBulkQuery, startBulkMutation, runBulkHandler, readBulkResult } from './functions.bulk.js';
+export { createAdminClient, loadOfflineSession, listInstalledShops } from './functions.shopify.js';
+export { createStorageAdapter, migrateSessions } from './functions.storage.js';
+export { registerComplianceHook } from './functions.compliance.js';
+export { db, defineModel } from './functions.db.js';
@@ -0,0 +1,39 @@
+import { getFunctions } from 'firebase-admin/functions';
+import { loadOfflineSession } from './functions.shopify.js';
+import jobs from './jobs.config.js';
+import projectConfig from './project.config.js';
+
+export async function enqueue(name, payload = {}, options = {}) {
+  if (!jobs.some(job => job.name === name)) {
+    throw new Error(`Unknown job "${name}". Available: ${jobs.map(job => job.name).join(', ')}`);
+  }
+
+  await getTaskQueue(`jobs-${toFunctionId(name)}`).enqueue(payload, options);
+}
+
+export function createJobHandler(job) {
+  return async (req) => {
+    const { shop } = req.data;
+
+    await job.run({
+      payload: req.data,
+      shop,
+      session: shop ? await loadOfflineSession(shop) : undefined
+    });
+  };
+}
+
+export function createCronHandler(cron) {
+  return (event) => cron.run({ scheduleTime: event.scheduleTime });
+}
+
+export function getTaskQueue(name) {
+  // A bare name means us-central1, queues of functions deployed elsewhere need their location
+  const { region } = projectConfig.functions;
+  return getFunctions().taskQueue(region ? `locations/${region}/functions/${name}` : name);
+}
+
+export function toFunctionId(name) {
+  // Firebase maps '-' in grouped exports to '.', so kebab-case names can't be keys
+  return name.replace(/-(\w)/g, (_, char) => char.toUpperCase());
+}
@@ -0,0 +1,164 @@
+import { format } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LOG_METHODS = ['log', 'info', 'warn', 'error'];
+const requestLogs = new AsyncLocalStorage();
+let consoleRouted = false;
+
+export class ApiError extends Error {
+  constructor(status, message, fields) {
+    super(message);
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+export function createRouteMiddleware(config) {
+  return [
+    config.cors && cors(config.cors),
+    config.timeout && timeout(config.timeout),
+    body(config)
+  ].filter(Boolean);
+}
+
+export function validateRequest(schema) {
+  // Schemas follow the Standard Schema interface (zod, valibot, arktype)
+  return async (req, res, next) => {
+    const fields = [];
+
+    for (const source of ['params', 'query', 'body']) {
+      if (!schema[source]) continue;
+
+      const result = await schema[source]['~standard'].validate(req[source]);
+      if (result.issues) {
+        fields.push(...result.issues.map(issue => ({
+          path: [source, ...(issue.path || []).map(p => p.key ?? p)].join('.'),
+          message: issue.message
+        })));
+      } else {
+        Object.defineProperty(req, source, { value: result.value, writable: true, configurable: true });
+      }
+    }
+
+    if (fields.length > 0) {
+      return next(new ApiError(400, 'Invalid request', fields));
+    }
+    next();
+  };
+}
+
+export function handleErrors() {
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    const status = err.status || 500;
+    if (status >= 500) {
+      console.error(err);
+    }
+
+    res.status(status).json({
+      error: {
+        status,
+        message: status >= 500 ? 'Internal Server Error' : err.message,
+        ...(err.fields && { fields: err.fields })
+      }
+    });
+  };
+}
+
+export function liquidResponse() {
+  // Shopify renders application/liquid proxy replies inside the shop's theme
+  return (req, res, next) => {
+    res.liquid = (template, { layout = true } = {}) => {
+      res.type('application/liquid');
+      res.send(layout ? template : `{% layout none %}\n${template}`);
+    };
+    next();
+  };
+}
+
+export function restoreRawBody() {
+  // HMAC is computed over the exact bytes Shopify sent, not the parsed JSON
+  return (req, res, next) => {
+    if (req.rawBody) {
+      req.body = req.rawBody.toString('utf8');
+      req._body = true;
+    }
+    next();
+  };
+}
+
+export function captureLogs() {
+  // Hands handler output back to `ryziz webhook trigger`, which can't see the emulator console
+  routeConsole();
+
+  return (req, res, next) => {
+    const logs = [];
+
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      res.setHeader('X-Ryziz-Logs', Buffer.from(JSON.stringify(logs)).toString('base64'));
+      return writeHead.apply(this, args);
+    };
+    requestLogs.run(logs, next);
+  };
+}
+
+function routeConsole() {
+  // console is wrapped once, each line goes to the request whose async context logged it
+  if (consoleRouted) return;
+  consoleRouted = true;
+
+  LOG_METHODS.forEach(method => {
+    const original = console[method];
+    console[method] = (...args) => {
+      requestLogs.getStore()?.push(format(...args));
+      original(...args);
+    };
+  });
+}
+
+function cors(origins) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    const allowedOrigin = origins === true ? '*' : [].concat(origins).find(o => o === origin);
+
+    if (allowedOrigin) {
+      res.set('Access-Control-Allow-Origin', allowedOrigin);
+      res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS, HEAD');
+      res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.append('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+function timeout(seconds) {
+  return (req, res, next) => {
+    const timer = setTimeout(() => {
+      if (!res.headersSent) res.status(504).end();
+    }, seconds * 1000);
+
+    res.on('close', () => clearTimeout(timer));
+    next();
+  };
+}
+
+function body({ bodyLimit, rawBody }) {
+  // Cloud Functions parses the body before Express, raw bytes stay on req.rawBody
+  return (req, res, next) => {
+    if (bodyLimit && req.rawBody?.length > bodyLimit) {
+      return res.status(413).end();
+    }
+    if (rawBody) {
+      req.body = req.rawBody;
+    }
+    next();
+  };
+}
@@ -1,95 +1,262 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
 import { shopifyApp } from '@shopify/shopify-app-express';
-import { Session } from '@shopify/shopify-api';
-import { getFirestore } from 'firebase-admin/firestore';
+import { ApiVersion, GraphqlQueryError, HttpRetriableError, HttpRequestError } from '@shopify/shopify-api';
+import { setAbstractFetchFunc } from '@shopify/shopify-api/runtime';
+import { createStorageAdapter, createSessionStorage, createCookieStorage, SESSIONS } from './functions.storage.js';
+import { ApiError } from './functions.middleware.js';
+import projectConfig from './project.config.js';
 
-const hostName = process.env.SHOPIFY_HOST_NAME || 'localhost:8080';
+const hostName = process.env.SHOPIFY_HOST_NAME || `localhost:${projectConfig.port}`;
+const mockUrl = process.env.SHOPIFY_MOCK_URL;
 const isLocalhost = hostName.includes('localhost') || hostName.includes('127.0.0.1');
+const MAX_RETRIES = 5;
+const DEFAULT_QUERY_COST = 50;
+// Per shop and per query, a long-lived instance would otherwise keep every one it has seen
+const MAX_TRACKED = 1000;
+// Newest stable version the library knows, for a toml without webhooks.api_version
+const DEFAULT_API_VERSION = Object.values(ApiVersion).filter(version => version !== ApiVersion.Unstable).at(-1);
+const throttles = new Map();
+const queryCosts = new Map();
+const storageAdapter = createStorageAdapter(projectConfig.sessionStorage);
 
 const shopify = shopifyApp({
-  sessionStorage: createSessionStorage(),
+  sessionStorage: createSessionStorage(storageAdapter),
   api: {
     apiKey: process.env.SHOPIFY_API_KEY,
-    apiSecretKey: process.env.SHOPIFY_API_SECRET,
+    // Secrets are not exposed while Firebase discovers functions on deploy
+    apiSecretKey: process.env.FUNCTIONS_CONTROL_API === 'true' ? 'discovery' : process.env.SHOPIFY_API_SECRET,
     scopes: process.env.SHOPIFY_SCOPES?.split(',') || [],
     hostName: hostName,
     hostScheme: isLocalhost ? 'http' : 'https',
-    apiVersion: '2025-10'
+    // The CLI writes the toml's webhooks.api_version, so REST, GraphQL and webhooks share one version
+    apiVersion: process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION
   },
   auth: {
-    path: '/auth',
-    callbackPath: '/auth/callback',
+    path: projectConfig.paths.auth,
+    callbackPath: `${projectConfig.paths.auth}/callback`,
   },
   webhooks: {
-    path: '/webhook',
+    path: projectConfig.paths.webhook,
   },
 });
 
 export default shopify;
 
-export const cookieStorage = createCookieStorage();
+if (mockUrl) {
+  // `ryziz dev --offline`: Admin API and OAuth calls go to the CLI's mock instead of the shop
+  setAbstractFetchFunc((url, init) => fetch(toMockUrl(url), init));
+}
+
+export const cookieStorage = createCookieStorage(storageAdapter);
+
+export function loadOfflineSession(shop) {
+  return shopify.config.sessionStorage.loadSession(shopify.api.session.getOfflineId(shop));
+}
+
+export async function listInstalledShops() {
+  // Offline sessions last as long as the install, shopify-app-express deletes them on uninstall
+  const sessions = await storageAdapter.list(SESSIONS);
+  return sessions.filter(({ id }) => id.startsWith('offline_')).map(({ id }) => id.slice('offline_'.length));
+}
+
+export function createAdminClient(session) {
+  const client = new shopify.api.clients.Graphql({ session });
+  const throttle = getThrottle(session.shop);
 
-function createSessionStorage() {
-  // Lazy init: getFirestore() called at runtime, not import time
-  // Firebase must be initialized before accessing Firestore
-  let collection;
+  const request = async (query, options = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      await reserveCost(throttle, queryCosts.get(query) ?? DEFAULT_QUERY_COST);
 
-  const getCollection = () => {
-    if (!collection) {
-      collection = getFirestore().collection('shopify-sessions');
+      try {
+        const response = await client.request(query, { ...options, retries: 0 });
+        trackCost(throttle, query, response.extensions?.cost);
+        return response;
+      } catch (error) {
+        const cost = error.body?.extensions?.cost;
+        trackCost(throttle, query, cost);
+
+        if (attempt >= MAX_RETRIES || !isTransient(error)) throw error;
+        // A throttled reply carries the bucket state, so reserveCost already knows how long to wait
+        if (!(isThrottled(error) && cost)) await sleep(backoff(attempt));
+      }
     }
-    return collection;
   };
 
-  return {
-    async storeSession(session) {
-      await getCollection().doc(session.id).set(session.toObject());
-      return true;
-    },
-    async loadSession(id) {
-      const doc = await getCollection().doc(id).get();
-      if (!doc.exists) return undefined;
-      return new Session(doc.data());
-    },
-    async deleteSession(id) {
-      await getCollection().doc(id).delete();
-      return true;
-    },
-    async deleteSessions(ids) {
-      await Promise.all(ids.map((id) => getCollection().doc(id).delete()));
-      return true;
-    },
-    async findSessionsByShop(shop) {
-      const docs = await getCollection().where('shop', '==', shop).get();
-      return docs.docs.map((doc) => new Session(doc.data()));
-    },
+  async function* paginate(query, variables = {}) {
+    let cursor = variables.cursor ?? null;
+
+    do {
+      const { data } = await request(query, { variables: { ...variables, cursor } });
+      const connection = findConnection(data);
+      if (!connection) {
+        throw new Error('paginate() needs a connection with pageInfo { hasNextPage endCursor }');
+      }
+
+      yield* connection.nodes ?? connection.edges.map(edge => edge.node);
+      cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (cursor);
+  }
+
+  return { request, paginate };
+}
+
+export function authenticateSession() {
+  return async (req, res, next) => {
+    const payload = await decodeBearerToken(req);
+    if (!payload) {
+      return reauthorize(res, shopify.api.utils.sanitizeShop(req.query.shop));
+    }
+
+    const shop = payload.dest.replace('https://', '');
+    const sessionId = shopify.config.useOnlineTokens
+      ? shopify.api.session.getJwtSessionId(shop, payload.sub)
+      : shopify.api.session.getOfflineId(shop);
+    const session = await shopify.config.sessionStorage.loadSession(sessionId);
+
+    if (!session?.isActive(shopify.api.config.scopes)) {
+      return reauthorize(res, shop);
+    }
+
+    req.shopify = {
+      session,
+      graphql: createAdminClient(session),
+      rest: new shopify.api.clients.Rest({ session })
+    };
+    next();
   };
 }
 
-function createCookieStorage() {
-  // Lazy init: getFirestore() called at runtime, not import time
-  // Firebase must be initialized before accessing Firestore
-  let collection;
+export function verifyAppProxy() {
+  return async (req, res, next) => {
+    // Storefront requests carry no session token, Shopify signs the query string instead
+    const valid = await shopify.api.utils.validateHmac(req.query, { signator: 'appProxy' }).catch(() => false);
+    if (!valid) {
+      return next(new ApiError(401, 'Invalid app proxy signature'));
+    }
 
-  const getCollection = () => {
-    if (!collection) {
-      collection = getFirestore().collection('shopify-cookies');
+    const shop = req.query.shop;
+    const session = await loadOfflineSession(shop);
+    req.shopify = {
+      shop,
+      loggedInCustomerId: req.query.logged_in_customer_id || null,
+      session,
+      graphql: session && createAdminClient(session)
+    };
+    next();
+  };
+}
+
+export function reloadHostName() {
+  // A restarted quick tunnel has a new URL, `ryziz dev` rewrites .env while the emulator keeps the old one loaded
+  return (req, res, next) => {
+    if (process.env.FUNCTIONS_EMULATOR === 'true' && fs.existsSync('.env')) {
+      shopify.api.config.hostName = dotenv.parse(fs.readFileSync('.env')).SHOPIFY_HOST_NAME || shopify.api.config.hostName;
     }
-    return collection;
+    next();
   };
+}
 
-  return {
-    async storeCookie(shop, cookie) {
-      await getCollection().doc(shop).set({ cookie });
-      return true;
-    },
-    async loadCookie(shop) {
-      const doc = await getCollection().doc(shop).get();
-      if (!doc.exists) return undefined;
-      return doc.data().cookie;
-    },
-    async deleteCookie(shop) {
-      await getCollection().doc(shop).delete();
-      return true;
-    },
+export function redirectToMock() {
+  return (req, res, next) => {
+    if (mockUrl) {
+      // OAuth redirects the browser to the shop and then the admin, both are served by the mock offline
+      const setHeader = res.setHeader.bind(res);
+      res.setHeader = (name, value) => setHeader(name, name.toLowerCase() === 'location' ? toMockUrl(value) : value);
+    }
+    next();
   };
 }
+
+async function decodeBearerToken(req) {
+  const token = req.headers.authorization?.match(/Bearer (.*)/)?.[1];
+  if (!token) return undefined;
+
+  try {
+    return await shopify.api.session.decodeSessionToken(token);
+  } catch {
+    return undefined;
+  }
+}
+
+function reauthorize(res, shop) {
+  // Embedded fetches can't follow redirects, App Bridge reads these headers instead
+  res.status(401);
+  res.append('Access-Control-Expose-Headers', [
+    'X-Shopify-API-Request-Failure-Reauthorize',
+    'X-Shopify-API-Request-Failure-Reauthorize-Url'
+  ]);
+  res.set('X-Shopify-API-Request-Failure-Reauthorize', '1');
+  res.set('X-Shopify-API-Request-Failure-Reauthorize-Url', `${shopify.config.auth.path}?shop=${shop || ''}`);
+  res.end();
+}
+
+function toMockUrl(url) {
+  return String(url).replace(/^https:\/\/([\w-]+\.myshopify\.com|admin\.shopify\.com)\//, `${mockUrl}/shops/$1/`);
+}
+
+function getThrottle(shop) {
+  // Shopify's leaky bucket is per app and shop, so every client for a shop shares it
+  const throttle = throttles.get(shop) ?? { available: null, maximum: 0, restoreRate: 0, updatedAt: 0 };
+  remember(throttles, shop, throttle);
+  return throttle;
+}
+
+async function reserveCost(throttle, cost) {
+  if (throttle.available === null) return;
+
+  const elapsed = (Date.now() - throttle.updatedAt) / 1000;
+  throttle.available = Math.min(throttle.maximum, throttle.available + elapsed * throttle.restoreRate) - cost;
+  throttle.updatedAt = Date.now();
+
+  if (throttle.available < 0) {
+    await sleep(-throttle.available / throttle.restoreRate * 1000);
+  }
+}
+
+function trackCost(throttle, query, cost) {
+  if (!cost) return;
+
+  remember(queryCosts, query, cost.requestedQueryCost);
+  throttle.available = cost.throttleStatus.currentlyAvailable;
+  throttle.maximum = cost.throttleStatus.maximumAvailable;
+  throttle.restoreRate = cost.throttleStatus.restoreRate;
+  throttle.updatedAt = Date.now();
+}
+
+function remember(map, key, value) {
+  // Maps keep insertion order, so re-inserting on use leaves the least recently used key first
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > MAX_TRACKED) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+function isThrottled(error) {
+  return error instanceof GraphqlQueryError &&
+    Boolean(error.body?.errors?.graphQLErrors?.some(e => e.extensions?.code === 'THROTTLED'));
+}
+
+function isTransient(error) {
+  return isThrottled(error) || error instanceof HttpRetriableError || error instanceof HttpRequestError;
+}
+
+function backoff(attempt) {
+  return Math.min(1000 * 2 ** attempt, 30000) + Math.random() * 250;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function findConnection(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (value.pageInfo) return value;
+
+  for (const child of Object.values(value)) {
+    const connection = findConnection(child);
+    if (connection) return connection;
+  }
+  return null;
+}
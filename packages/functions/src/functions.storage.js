@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import { Session } from '@shopify/shopify-api';
+import { getFirestore } from 'firebase-admin/firestore';
+
+export const SESSIONS = 'shopify-sessions';
+const COOKIES = 'shopify-cookies';
+const ENCRYPTED_FIELDS = ['accessToken', 'refreshToken'];
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const ADAPTERS = {
+  firestore: firestoreAdapter,
+  memory: memoryAdapter,
+  sqlite: sqliteAdapter,
+  postgres: postgresAdapter
+};
+
+export function createStorageAdapter({ adapter = 'firestore', ...options } = {}) {
+  // Custom adapters implement get, set, delete, find and list
+  if (typeof adapter === 'object') return adapter;
+
+  if (!ADAPTERS[adapter]) {
+    throw new Error(`Unknown session storage adapter "${adapter}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return ADAPTERS[adapter](options);
+}
+
+export function createSessionStorage(adapter) {
+  return {
+    async storeSession(session) {
+      await adapter.set(SESSIONS, session.id, encryptSession(session.toObject()));
+      return true;
+    },
+    async loadSession(id) {
+      const data = await adapter.get(SESSIONS, id);
+      if (!data) return undefined;
+      return new Session(decryptSession(data));
+    },
+    async deleteSession(id) {
+      await adapter.delete(SESSIONS, id);
+      return true;
+    },
+    async deleteSessions(ids) {
+      await Promise.all(ids.map((id) => adapter.delete(SESSIONS, id)));
+      return true;
+    },
+    async findSessionsByShop(shop) {
+      const sessions = await adapter.find(SESSIONS, 'shop', shop);
+      return sessions.map((data) => new Session(decryptSession(data)));
+    },
+  };
+}
+
+export function createCookieStorage(adapter) {
+  return {
+    async storeCookie(shop, cookie) {
+      await adapter.set(COOKIES, shop, { cookie });
+      return true;
+    },
+    async loadCookie(shop) {
+      const data = await adapter.get(COOKIES, shop);
+      return data?.cookie;
+    },
+    async deleteCookie(shop) {
+      await adapter.delete(COOKIES, shop);
+      return true;
+    },
+  };
+}
+
+export async function migrateSessions(from, to) {
+  // Decrypt then encrypt, so plaintext tokens from older installs get encrypted on the way
+  const sessions = await from.list(SESSIONS);
+
+  for (const { id, data } of sessions) {
+    await to.set(SESSIONS, id, encryptSession(decryptSession(data)));
+  }
+  return sessions.length;
+}
+
+function encryptSession(data) {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('RYZIZ_ENCRYPTION_KEY is required to store sessions, access tokens are never written in plaintext');
+  }
+
+  const encrypted = { ...data };
+  ENCRYPTED_FIELDS
+    .filter(field => typeof data[field] === 'string' && !data[field].startsWith(ENCRYPTED_PREFIX))
+    .forEach(field => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const value = Buffer.concat([cipher.update(data[field], 'utf8'), cipher.final()]);
+      encrypted[field] = ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), value].map(b => b.toString('base64')).join(':');
+    });
+  return encrypted;
+}
+
+function decryptSession(data) {
+  const decrypted = { ...data };
+
+  if (data.expires) {
+    decrypted.expires = data.expires.toDate?.() ?? new Date(data.expires);
+  }
+
+  ENCRYPTED_FIELDS
+    .filter(field => typeof data[field] === 'string' && data[field].startsWith(ENCRYPTED_PREFIX))
+    .forEach(field => {
+      const key = getEncryptionKey();
+      if (!key) {
+        throw new Error('RYZIZ_ENCRYPTION_KEY is required to read encrypted sessions');
+      }
+
+      const [iv, tag, value] = data[field].slice(ENCRYPTED_PREFIX.length).split(':').map(p => Buffer.from(p, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      decrypted[field] = Buffer.concat([decipher.update(value), decipher.final()]).toString('utf8');
+    });
+  return decrypted;
+}
+
+function getEncryptionKey() {
+  const secret = process.env.RYZIZ_ENCRYPTION_KEY;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+function firestoreAdapter() {
+  // Lazy init: getFirestore() called at runtime, not import time
+  // Firebase must be initialized before accessing Firestore
+  const collection = (name) => getFirestore().collection(name);
+
+  return {
+    async get(name, id) {
+      const doc = await collection(name).doc(id).get();
+      return doc.exists ? doc.data() : undefined;
+    },
+    async set(name, id, data) {
+      await collection(name).doc(id).set(data);
+    },
+    async delete(name, id) {
+      await collection(name).doc(id).delete();
+    },
+    async find(name, field, value) {
+      const docs = await collection(name).where(field, '==', value).get();
+      return docs.docs.map((doc) => doc.data());
+    },
+    async list(name) {
+      const docs = await collection(name).get();
+      return docs.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+    },
+  };
+}
+
+function memoryAdapter() {
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    async get(name, id) {
+      return structuredClone(collection(name).get(id));
+    },
+    async set(name, id, data) {
+      collection(name).set(id, structuredClone(data));
+    },
+    async delete(name, id) {
+      collection(name).delete(id);
+    },
+    async find(name, field, value) {
+      return [...collection(name).values()].filter(data => data[field] === value).map(data => structuredClone(data));
+    },
+    async list(name) {
+      return [...collection(name)].map(([id, data]) => ({ id, data: structuredClone(data) }));
+    },
+  };
+}
+
+function sqliteAdapter({ filename = 'ryziz.sqlite' }) {
+  let database;
+
+  const getDatabase = () => {
+    database ||= import('better-sqlite3').then(({ default: Database }) => {
+      const db = new Database(filename);
+      db.exec(`CREATE TABLE IF NOT EXISTS ryziz_storage (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )`);
+      return db;
+    });
+    return database;
+  };
+
+  return {
+    async get(name, id) {
+      const db = await getDatabase();
+      const row = db.prepare('SELECT data FROM ryziz_storage WHERE collection = ? AND id = ?').get(name, id);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    async set(name, id, data) {
+      const db = await getDatabase();
+      db.prepare('INSERT INTO ryziz_storage (collection, id, data) VALUES (?, ?, ?) ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data')
+        .run(name, id, JSON.stringify(data));
+    },
+    async delete(name, id) {
+      const db = await getDatabase();
+      db.prepare('DELETE FROM ryziz_storage WHERE collection = ? AND id = ?').run(name, id);
+    },
+    async find(name, field, value) {
+      const db = await getDatabase();
+      return db.prepare('SELECT data FROM ryziz_storage WHERE collection = ? AND json_extract(data, ?) = ?')
+        .all(name, `$.${field}`, value)
+        .map(row => JSON.parse(row.data));
+    },
+    async list(name) {
+      const db = await getDatabase();
+      return db.prepare('SELECT id, data FROM ryziz_storage WHERE collection = ?')
+        .all(name)
+        .map(row => ({ id: row.id, data: JSON.parse(row.data) }));
+    },
+  };
+}
+
+function postgresAdapter({ connectionString = process.env.DATABASE_URL }) {
+  let pool;
+
+  const query = async (text, values) => {
+    pool ||= import('pg').then(async ({ default: pg }) => {
+      const client = new pg.Pool({ connectionString });
+      await client.query(`CREATE TABLE IF NOT EXISTS ryziz_storage (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data JSONB NOT NULL,
+        PRIMARY KEY (collection, id)
+      )`);
+      return client;
+    });
+    return (await (await pool).query(text, values)).rows;
+  };
+
+  return {
+    async get(name, id) {
+      const [row] = await query('SELECT data FROM ryziz_storage WHERE collection = $1 AND id = $2', [name, id]);
+      return row?.data;
+    },
+    async set(name, id, data) {
+      await query('INSERT INTO ryziz_storage (collection, id, data) VALUES ($1, $2, $3) ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data', [name, id, data]);
+    },
+    async delete(name, id) {
+      await query('DELETE FROM ryziz_storage WHERE collection = $1 AND id = $2', [name, id]);
+    },
+    async find(name, field, value) {
+      const rows = await query('SELECT data FROM ryziz_storage WHERE collection = $1 AND data->>$2 = $3', [name, field, value]);
+      return rows.map(row => row.data);
+    },
+    async list(name) {
+      return query('SELECT id, data FROM ryziz_storage WHERE collection = $1', [name]);
+    },
+  };
+}
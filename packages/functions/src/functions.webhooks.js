@@ -0,0 +1,56 @@
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { loadOfflineSession } from './functions.shopify.js';
+
+const ALREADY_EXISTS = 6;
+
+export const WEBHOOKS = 'shopify-webhooks';
+
+export function createWebhookCallback(modules) {
+  // Built-in handlers run after the app's own, unless one opts out with config.defaults = false
+  const overridden = modules.some(m => m.config?.defaults === false);
+  const handlers = modules.filter(m => !(m.builtIn && overridden)).map(m => m.handle);
+
+  return async (topic, shop, body, webhookId, apiVersion) => {
+    try {
+      await processWebhook(handlers, { topic, shop, body, webhookId, apiVersion });
+    } catch (error) {
+      // The library responds before logging, so log here to reach `ryziz webhook trigger`
+      console.error(`Webhook ${topic} failed for ${shop}:`, error);
+      throw error;
+    }
+  };
+}
+
+async function processWebhook(handlers, { topic, shop, body, webhookId, apiVersion }) {
+  const record = getFirestore().collection(WEBHOOKS).doc(webhookId);
+  if (!(await claimWebhook(record, { topic, shop }))) return;
+
+  try {
+    const context = {
+      topic,
+      shop,
+      payload: JSON.parse(body),
+      webhookId,
+      apiVersion,
+      session: await loadOfflineSession(shop)
+    };
+
+    for (const handle of handlers) {
+      await handle(context);
+    }
+  } catch (error) {
+    // Release the id so Shopify's retry gets processed
+    await record.delete();
+    throw error;
+  }
+}
+
+async function claimWebhook(record, data) {
+  try {
+    await record.create({ ...data, processedAt: FieldValue.serverTimestamp() });
+    return true;
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) return false;
+    throw error;
+  }
+}
@@ -0,0 +1,17 @@
+export {
+  useParams,
+  useNavigate,
+  useLocation,
+  useLoaderData,
+  useActionData,
+  useFetcher,
+  Link,
+  NavLink,
+  Form,
+  Outlet
+} from 'react-router-dom';
+
+/** fetch that adds the App Bridge session token to same-origin /api/ requests */
+export function authenticatedFetch(input: RequestInfo | URL, init?: RequestInit): Promise<Response>;
+
+export function useShopify(): { apiKey: string | undefined; shop: string | null; host: string | null };
@@ -0,0 +1,26 @@
+import { useRouteError } from 'react-router-dom';
+
+export default function createRoutes(routes, { fetch, loading }) {
+  return routes.map((route) => ({
+    path: route.path,
+    Component: route.component,
+    ErrorBoundary: route.error && createErrorBoundary(route.error),
+    HydrateFallback: loading,
+    lazy: route.page && (() => route.page().then((module) => toRouteModule(module, fetch))),
+    children: route.children && createRoutes(route.children, { fetch, loading })
+  }));
+}
+
+function toRouteModule(module, fetch) {
+  return {
+    Component: module.default,
+    loader: module.loader && ((args) => module.loader({ ...args, fetch })),
+    action: module.action && ((args) => module.action({ ...args, fetch }))
+  };
+}
+
+function createErrorBoundary(Fallback) {
+  return function RouteErrorBoundary() {
+    return <Fallback error={useRouteError()} />;
+  };
+}
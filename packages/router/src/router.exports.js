@@ -1 +1,14 @@
-export { useParams, useNavigate, useLocation, Link, NavLink } from 'react-router-dom';
+export {
+  useParams,
+  useNavigate,
+  useLocation,
+  useLoaderData,
+  useActionData,
+  useFetcher,
+  Link,
+  NavLink,
+  Form,
+  Outlet
+} from 'react-router-dom';
+export { authenticatedFetch } from './router.fetch.js';
+export { useShopify } from './router.shopify.jsx';
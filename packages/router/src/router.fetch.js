@@ -0,0 +1,12 @@
+export async function authenticatedFetch(input, init = {}) {
+  const url = new URL(input instanceof Request ? input.url : input, location.origin);
+
+  if (url.origin !== location.origin || !url.pathname.startsWith('/api/') || !window.shopify?.idToken) {
+    return fetch(input, init);
+  }
+
+  const headers = new Headers(init.headers);
+  headers.set('Authorization', `Bearer ${await window.shopify.idToken()}`);
+
+  return fetch(input, { ...init, headers });
+}
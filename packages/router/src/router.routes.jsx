@@ -1,20 +1,34 @@
 import { createRoot } from 'react-dom/client';
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
-import routesConfig from './routes.config.js';
+import { createBrowserRouter, RouterProvider, Outlet, useNavigation } from 'react-router-dom';
+import routesConfig, { loading as Loading, nav } from './routes.config.js';
+import createRoutes from './router.create.jsx';
+import { authenticatedFetch } from './router.fetch.js';
+import { ShopifyProvider, saveShopifyParams } from './router.shopify.jsx';
 
-function AppRoutes() {
-  return (
-    <Routes>
-      {routesConfig.map((route) => (
-        <Route key={route.path} path={route.path} Component={route.component} />
-      ))}
-    </Routes>
-  );
-}
+// Before the router starts, its first loaders may already need the shop
+saveShopifyParams();
+
+const router = createBrowserRouter([{
+  Component: NavigationFallback,
+  HydrateFallback: Loading,
+  children: createRoutes(routesConfig, { fetch: authenticatedFetch, loading: Loading })
+}]);
 
 const root = createRoot(document.getElementById('root'));
 root.render(
-  <BrowserRouter>
-    <AppRoutes />
-  </BrowserRouter>
+  <ShopifyProvider router={router} nav={nav}>
+    <RouterProvider router={router} />
+  </ShopifyProvider>
 );
+
+function NavigationFallback() {
+  // HydrateFallback only covers the first load, later navigations show it next to the page so layouts keep their state
+  const navigation = useNavigation();
+
+  return (
+    <>
+      {navigation.state === 'loading' && Loading && <Loading />}
+      <Outlet />
+    </>
+  );
+}
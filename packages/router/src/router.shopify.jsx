@@ -0,0 +1,40 @@
+const SHOPIFY_PARAMS = ['shop', 'host'];
+
+export function ShopifyProvider({ router, nav, children }) {
+  const navigate = (event, path) => {
+    event.preventDefault();
+    router.navigate(path);
+  };
+
+  return (
+    <>
+      <ui-nav-menu>
+        {nav.map((item) => (
+          <a key={item.path} href={item.path} rel={item.path === '/' ? 'home' : undefined} onClick={(event) => navigate(event, item.path)}>
+            {item.label}
+          </a>
+        ))}
+      </ui-nav-menu>
+      {children}
+    </>
+  );
+}
+
+export function useShopify() {
+  return {
+    apiKey: process.env.SHOPIFY_API_KEY,
+    shop: sessionStorage.getItem('shopify:shop'),
+    host: sessionStorage.getItem('shopify:host')
+  };
+}
+
+export function saveShopifyParams() {
+  // Admin only passes shop and host on first load, client navigation drops them
+  const params = new URLSearchParams(location.search);
+
+  SHOPIFY_PARAMS.forEach((key) => {
+    if (params.get(key)) {
+      sessionStorage.setItem(`shopify:${key}`, params.get(key));
+    }
+  });
+}
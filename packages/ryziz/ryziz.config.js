@@ -0,0 +1,7 @@
+import { defineConfig } from '@ryziz-shopify/cli/config';
+
+export default defineConfig({
+  esbuild: {
+    loader: { '.svg': 'dataurl' }
+  }
+});
@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { db } from '@ryziz-shopify/functions';
+
+export const schema = {
+  POST: {
+    body: z.object({
+      title: z.string().min(1),
+      variants: z.array(z.object({ sku: z.string() })).default([])
+    })
+  }
+};
+
+export async function GET(req, res) {
+  const snapshot = await db(req.shopify.session.shop).collection('products').orderBy('title').get();
+  res.json({ products: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+}
+
+export async function POST(req, res) {
+  const ref = await db(req.shopify.session.shop).collection('products').add(req.body);
+  res.status(201).json({ id: ref.id, ...req.body });
+}
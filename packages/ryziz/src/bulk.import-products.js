@@ -0,0 +1,13 @@
+import { db } from '@ryziz-shopify/functions';
+
+export async function run({ objects, shop }) {
+  const products = db(shop).collection('products');
+
+  // Variants arrive as __children of the product line they follow in the JSONL
+  for await (const product of objects) {
+    await products.doc(product.id.split('/').pop()).set({
+      title: product.title,
+      variants: (product.__children || []).map(variant => ({ sku: variant.sku }))
+    });
+  }
+}
@@ -0,0 +1,10 @@
+import { enqueue, listInstalledShops } from '@ryziz-shopify/functions';
+
+export const SCHEDULE = 'every day 02:00';
+
+export async function run({ scheduleTime }) {
+  const shops = await listInstalledShops();
+  console.log('Nightly sync started:', scheduleTime, { shops: shops.length });
+
+  await Promise.all(shops.map(shop => enqueue('sync-products', { shop })));
+}
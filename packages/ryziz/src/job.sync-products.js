@@ -0,0 +1,8 @@
+export const config = {
+  retries: 5,
+  timeout: 540
+};
+
+export async function run({ shop, session, payload }) {
+  console.log('Syncing products:', { shop, hasSession: Boolean(session), payload });
+}
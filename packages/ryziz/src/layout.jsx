@@ -0,0 +1,12 @@
+import { NavLink, Outlet } from '@ryziz-shopify/router';
+
+export default function Layout() {
+  return (
+    <main className="app-frame">
+      <nav>
+        <NavLink to="/">Home</NavLink> <NavLink to="/products">Products</NavLink>
+      </nav>
+      <Outlet />
+    </main>
+  );
+}
@@ -0,0 +1,18 @@
+import { useLoaderData } from '@ryziz-shopify/router';
+
+export async function loader({ fetch }) {
+  const response = await fetch('/api/products');
+  return response.json();
+}
+
+export default function Products() {
+  const { products } = useLoaderData();
+
+  return (
+    <ul>
+      {products.map(product => (
+        <li key={product.id}>{`${product.title} (${product.variants.length} variants)`}</li>
+      ))}
+    </ul>
+  );
+}
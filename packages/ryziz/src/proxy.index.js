@@ -0,0 +1,8 @@
+export function GET(req, res) {
+  const { shop, loggedInCustomerId } = req.shopify;
+
+  res.liquid(`
+    <h1>Hello from {{ shop.name }}</h1>
+    <p>Served by ryziz for ${shop}${loggedInCustomerId ? `, customer ${loggedInCustomerId}` : ''}</p>
+  `);
+}
@@ -1,5 +1,7 @@
 export const TOPIC = 'APP_UNINSTALLED';
 
-export async function handle(topic, shop, body) {
-  console.log('App uninstalled:', { topic, shop, body });
+export async function handle({ topic, shop, payload }) {
+  console.log('App uninstalled:', { topic, shop, payload });
+
+  // ryziz deletes the OAuth cookie and shopify-app-express the sessions, shop/redact removes the rest 48 hours later
 }
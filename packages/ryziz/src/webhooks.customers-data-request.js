@@ -1,9 +1,8 @@
 export const TOPIC = 'CUSTOMERS_DATA_REQUEST';
 
-export async function handle(topic, shop, body) {
-  const data = JSON.parse(body);
-  console.log('Customer data request:', { shop, customerId: data.customer?.id });
+export async function handle({ shop, payload }) {
+  console.log('Customer data request:', { shop, customerId: payload.customer?.id });
 
-  // TODO: Implement customer data collection and response
-  // Must respond within 30 days with customer data
+  // Built-in handler runs next, collecting data from registerComplianceHook() collections
+  // Export `config = { defaults: false }` to replace it
 }
@@ -1,9 +1,8 @@
 export const TOPIC = 'CUSTOMERS_REDACT';
 
-export async function handle(topic, shop, body) {
-  const data = JSON.parse(body);
-  console.log('Customer redact request:', { shop, customerId: data.customer?.id });
+export async function handle({ shop, payload }) {
+  console.log('Customer redact request:', { shop, customerId: payload.customer?.id });
 
-  // TODO: Implement customer data deletion
-  // Delete all customer personal data from your database
+  // Built-in handler runs next, redacting registerComplianceHook() collections
+  // Export `config = { defaults: false }` to replace it
 }
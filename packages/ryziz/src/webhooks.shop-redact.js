@@ -1,9 +1,8 @@
 export const TOPIC = 'SHOP_REDACT';
 
-export async function handle(topic, shop, body) {
-  const data = JSON.parse(body);
-  console.log('Shop redact request:', { shop, shopId: data.shop_id });
+export async function handle({ shop, payload }) {
+  console.log('Shop redact request:', { shop, shopId: payload.shop_id });
 
-  // TODO: Implement shop data deletion
-  // Delete all shop data from your database (48 hours after app uninstall)
+  // Built-in handler runs next, deleting every Firestore document tagged with this shop
+  // Export `config = { defaults: false }` to replace it
 }
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetData } from '@ryziz-shopify/testing';
+
+test.beforeEach(() => resetData());
+
+test('valid body is stored with schema defaults', async () => {
+  const app = createTestApp();
+  const { status, body } = await app.post('/api/products', { title: 'Snowboard' });
+
+  assert.equal(status, 201);
+  assert.equal(body.title, 'Snowboard');
+  assert.deepEqual(body.variants, []);
+});
+
+test('invalid body returns 400 with the failing fields', async () => {
+  const app = createTestApp();
+  const { status, body } = await app.post('/api/products', { title: '', variants: [{ sku: 42 }] });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.message, 'Invalid request');
+  assert.deepEqual(body.error.fields.map(f => f.path), ['body.title', 'body.variants.0.sku']);
+});
+
+test('api requires a session token', async () => {
+  const app = createTestApp();
+  const { status } = await app.get('/api/products', { auth: false });
+
+  assert.equal(status, 401);
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, sendWebhook, renderRoute } from '@ryziz-shopify/testing';
+
+test('api returns hello world', async () => {
+  const app = createTestApp();
+  const { status, body } = await app.get('/api');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { message: 'hello world' });
+});
+
+test('app/uninstalled webhook is accepted', async () => {
+  const { status } = await sendWebhook('APP_UNINSTALLED', { id: 548380009, domain: 'test-shop.myshopify.com' });
+
+  assert.equal(status, 200);
+});
+
+test('index page renders', async () => {
+  const { status, html } = await renderRoute('/');
+
+  assert.equal(status, 200);
+  assert.match(html, /hello world/);
+});
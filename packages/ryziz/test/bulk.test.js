@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { createTestApp, resetData } from '@ryziz-shopify/testing';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/products.jsonl', import.meta.url));
+
+test.beforeEach(() => resetData());
+
+test('bulk handler gets products with their variants nested', async () => {
+  const app = createTestApp();
+  await app.runBulkHandler('import-products', { source: FIXTURE });
+  const { body } = await app.get('/api/products');
+
+  assert.deepEqual(body.products, [
+    { id: '1', title: 'Snowboard', variants: [{ sku: 'SB-154' }, { sku: 'SB-158' }] },
+    { id: '2', title: 'Wax', variants: [{ sku: 'WAX-1' }] }
+  ]);
+});
+
+test('unknown bulk handler is rejected', async () => {
+  const app = createTestApp();
+
+  await assert.rejects(app.runBulkHandler('import-orders', { source: FIXTURE }), /Unknown bulk handler "import-orders"/);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, renderRoute, resetData } from '@ryziz-shopify/testing';
+
+test.beforeEach(() => resetData());
+
+test('pages render inside the root layout', async () => {
+  const { html } = await renderRoute('/');
+
+  assert.match(html, /<main class="app-frame"><nav>.*<\/nav><div>hello world<\/div><\/main>/);
+});
+
+test('page loader reads from the api', async () => {
+  const app = createTestApp();
+  await app.post('/api/products', { title: 'Snowboard', variants: [{ sku: 'SB-154' }] });
+  const { status, html } = await app.renderRoute('/products');
+
+  assert.equal(status, 200);
+  assert.match(html, /<li>Snowboard \(1 variants\)<\/li>/);
+});
+
+test('unknown paths render page.404 inside the layout', async () => {
+  const { html } = await renderRoute('/missing');
+
+  assert.match(html, /class="app-frame".*Page not found/);
+});
@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from '@ryziz-shopify/testing';
+
+test('signed app proxy request renders liquid', async () => {
+  const app = createTestApp();
+  const { status, headers, text } = await app.get('/proxy');
+
+  assert.equal(status, 200);
+  assert.match(headers['content-type'], /application\/liquid/);
+  assert.match(text, /Served by ryziz for test-shop\.myshopify\.com/);
+});
+
+test('app proxy request with a bad signature is rejected', async () => {
+  const app = createTestApp();
+  const timestamp = Math.floor(Date.now() / 1000);
+  const { status } = await app.get(`/proxy?shop=${app.shop}&path_prefix=/apps/proxy&timestamp=${timestamp}&signature=${'0'.repeat(64)}`, { auth: false });
+
+  assert.equal(status, 401);
+});
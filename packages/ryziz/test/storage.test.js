@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorageAdapter, createSessionStorage, createCookieStorage, migrateSessions } from '@ryziz-shopify/testing';
+
+const SESSIONS = 'shopify-sessions';
+const SESSION = {
+  id: 'offline_test-shop.myshopify.com',
+  shop: 'test-shop.myshopify.com',
+  state: 'test',
+  isOnline: false,
+  accessToken: 'shpat_plaintext'
+};
+
+test('sessions are stored with the access token encrypted', async () => {
+  const adapter = createStorageAdapter({ adapter: 'memory' });
+  await adapter.set(SESSIONS, SESSION.id, SESSION);
+  const session = await createSessionStorage(adapter).loadSession(SESSION.id);
+  await createSessionStorage(adapter).storeSession(session);
+
+  const stored = await adapter.get(SESSIONS, SESSION.id);
+  assert.match(stored.accessToken, /^enc:v1:/);
+  assert.equal((await createSessionStorage(adapter).loadSession(SESSION.id)).accessToken, 'shpat_plaintext');
+});
+
+test('migration copies every session and encrypts plaintext tokens', async () => {
+  const from = createStorageAdapter({ adapter: 'memory' });
+  const to = createStorageAdapter({ adapter: 'memory' });
+  await from.set(SESSIONS, SESSION.id, SESSION);
+
+  assert.equal(await migrateSessions(from, to), 1);
+  assert.match((await to.get(SESSIONS, SESSION.id)).accessToken, /^enc:v1:/);
+  assert.equal((await createSessionStorage(to).loadSession(SESSION.id)).accessToken, 'shpat_plaintext');
+});
+
+test('cookies are stored per shop and deleted', async () => {
+  const cookies = createCookieStorage(createStorageAdapter({ adapter: 'memory' }));
+  await cookies.storeCookie(SESSION.shop, 'cookie-value');
+
+  assert.equal(await cookies.loadCookie(SESSION.shop), 'cookie-value');
+  await cookies.deleteCookie(SESSION.shop);
+  assert.equal(await cookies.loadCookie(SESSION.shop), undefined);
+});
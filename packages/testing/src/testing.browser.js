@@ -0,0 +1,10 @@
+// Router modules read location and sessionStorage as they load, Node has neither
+const values = new Map();
+
+globalThis.location ??= new URL('http://localhost/');
+globalThis.sessionStorage ??= {
+  getItem: (key) => values.get(key) ?? null,
+  setItem: (key, value) => values.set(key, String(value)),
+  removeItem: (key) => values.delete(key),
+  clear: () => values.clear()
+};
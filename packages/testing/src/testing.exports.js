@@ -0,0 +1,239 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import { createRequire } from 'module';
+import loadConfig from '@ryziz-shopify/cli/config';
+import { createSessionToken, sign } from '@ryziz-shopify/cli/sign';
+
+const require = createRequire(import.meta.url);
+// `ryziz test` passes the build dir, plain `node --test` finds it through ryziz.config.js
+const TEST_DIR = path.resolve(process.env.RYZIZ_TEST_DIR || path.join((await loadConfig()).outDir, 'testing'));
+const DEFAULT_SHOP = 'test-shop.myshopify.com';
+const ORIGIN = 'http://localhost';
+
+// Tokens and webhooks are signed with whatever secret is set, a real one is never needed offline
+process.env.SHOPIFY_API_KEY ||= 'test-api-key';
+process.env.SHOPIFY_API_SECRET ||= 'test-api-secret';
+process.env.RYZIZ_ENCRYPTION_KEY ||= 'test-encryption-key';
+
+let functions = null;
+
+export function createTestApp({ shop = DEFAULT_SHOP, accessToken = 'test-access-token' } = {}) {
+  const { shopify, apps } = loadFunctions();
+  const seeded = seedSession(shop, accessToken);
+
+  const fetch = async (input, { auth = true, ...init } = {}) => {
+    await seeded;
+    const url = new URL(input, ORIGIN);
+    const headers = new Headers(init.headers);
+
+    if (url.pathname === shopify.config.webhooks.path) {
+      return dispatch(apps.webhooks, url, { ...init, headers });
+    }
+    if (url.pathname.startsWith('/proxy')) {
+      // auth: false sends the query as is, to check how a bad or missing signature is handled
+      return dispatch(apps.proxy, auth ? signAppProxy(url, shop) : url, { ...init, headers });
+    }
+    if (auth && !headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${createSessionToken({ shop, apiKey: process.env.SHOPIFY_API_KEY, secret: process.env.SHOPIFY_API_SECRET })}`);
+    }
+    return dispatch(apps.api, url, { ...init, headers });
+  };
+
+  const request = async (method, url, { body, headers = {}, auth } = {}) => {
+    const json = body !== undefined && typeof body !== 'string';
+    const response = await fetch(url, {
+      method,
+      auth,
+      headers: { ...(json && { 'Content-Type': 'application/json' }), ...headers },
+      body: json ? JSON.stringify(body) : body
+    });
+    return toResult(response);
+  };
+
+  return {
+    shop,
+    fetch,
+    request,
+    get: (url, options) => request('GET', url, options),
+    post: (url, body, options) => request('POST', url, { ...options, body }),
+    put: (url, body, options) => request('PUT', url, { ...options, body }),
+    patch: (url, body, options) => request('PATCH', url, { ...options, body }),
+    delete: (url, options) => request('DELETE', url, options),
+    async sendWebhook(topic, payload, { headers = {} } = {}) {
+      const body = JSON.stringify(payload);
+
+      // Same headers as Shopify sends, so handlers see the webhookId, apiVersion and session they get in production
+      const response = await fetch(shopify.config.webhooks.path, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Topic': topic,
+          'X-Shopify-Hmac-Sha256': sign(body, process.env.SHOPIFY_API_SECRET, 'base64'),
+          'X-Shopify-Shop-Domain': shop,
+          'X-Shopify-Webhook-Id': crypto.randomUUID(),
+          'X-Shopify-Event-Id': crypto.randomUUID(),
+          'X-Shopify-Triggered-At': new Date().toISOString(),
+          'X-Shopify-API-Version': shopify.api.config.apiVersion,
+          ...headers
+        },
+        body
+      });
+      return toResult(response);
+    },
+    async runBulkHandler(name, options) {
+      // The handler loads the offline session itself, so it has to be stored first
+      await seeded;
+      return loadFunctions().bulk.runBulkHandler(name, { shop, ...options });
+    },
+    async renderRoute(url) {
+      const { renderRoute } = loadBundle('pages.cjs');
+      return renderRoute(new URL(url, ORIGIN).href, { fetch, shop });
+    }
+  };
+}
+
+export function sendWebhook(topic, payload, { shop, ...options } = {}) {
+  return createTestApp({ shop }).sendWebhook(topic, payload, options);
+}
+
+export function renderRoute(url, { shop, app = createTestApp({ shop }) } = {}) {
+  return app.renderRoute(url);
+}
+
+export function runBulkHandler(name, { shop, ...options } = {}) {
+  return createTestApp({ shop }).runBulkHandler(name, options);
+}
+
+export function createStorageAdapter(options) {
+  return loadFunctions().storage.createStorageAdapter(options);
+}
+
+export function createSessionStorage(adapter) {
+  return loadFunctions().storage.createSessionStorage(adapter);
+}
+
+export function createCookieStorage(adapter) {
+  return loadFunctions().storage.createCookieStorage(adapter);
+}
+
+export function migrateSessions(from, to) {
+  return loadFunctions().storage.migrateSessions(from, to);
+}
+
+export function resetData() {
+  loadFunctions().resetFirestore();
+}
+
+function loadFunctions() {
+  if (!functions) {
+    const bundle = loadBundle('functions.cjs');
+    const { shopify, createApiApp, createProxyApp, createWebhooksApp, Session, resetFirestore } = bundle;
+    functions = {
+      shopify,
+      Session,
+      resetFirestore,
+      bulk: { runBulkHandler: bundle.runBulkHandler },
+      storage: {
+        createStorageAdapter: bundle.createStorageAdapter,
+        createSessionStorage: bundle.createSessionStorage,
+        createCookieStorage: bundle.createCookieStorage,
+        migrateSessions: bundle.migrateSessions
+      },
+      apps: { api: createApiApp(), proxy: createProxyApp(), webhooks: createWebhooksApp() }
+    };
+  }
+  return functions;
+}
+
+function loadBundle(filename) {
+  const file = path.join(TEST_DIR, filename);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No test build at ${path.relative(process.cwd(), file)}. Run tests with: ryziz test`);
+  }
+  return require(file);
+}
+
+function seedSession(shop, accessToken) {
+  const { shopify, Session } = loadFunctions();
+
+  return shopify.config.sessionStorage.storeSession(new Session({
+    id: shopify.api.session.getOfflineId(shop),
+    shop,
+    state: 'test',
+    isOnline: false,
+    accessToken,
+    scope: shopify.api.config.scopes.toString()
+  }));
+}
+
+async function dispatch(app, url, init) {
+  const server = http.createServer(parseBody(app)).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url.pathname}${url.search}`, {
+      ...init,
+      redirect: 'manual'
+    });
+    // The body is read before the server closes, callers get a Response that no longer needs it
+    const body = await response.arrayBuffer();
+    return new Response(body.byteLength > 0 ? body : null, response);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+function parseBody(app) {
+  // Cloud Functions parses the body before Express sees it, handlers rely on req.body and req.rawBody
+  return async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    req.rawBody = Buffer.concat(chunks);
+    req.body = decodeBody(req.headers['content-type'] || '', req.rawBody);
+    app(req, res);
+  };
+}
+
+function decodeBody(contentType, rawBody) {
+  if (rawBody.length === 0) return {};
+  if (contentType.includes('application/json')) return JSON.parse(rawBody.toString('utf8'));
+  if (contentType.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(rawBody.toString('utf8')));
+  if (contentType.startsWith('text/')) return rawBody.toString('utf8');
+  return rawBody;
+}
+
+async function toResult(response) {
+  const text = await response.text();
+  const isJson = response.headers.get('Content-Type')?.includes('application/json');
+
+  return {
+    status: response.status,
+    headers: Object.fromEntries(response.headers),
+    text,
+    body: isJson && text ? JSON.parse(text) : text
+  };
+}
+
+function signAppProxy(url, shop) {
+  const signed = new URL(url);
+  signed.searchParams.set('shop', shop);
+  signed.searchParams.set('path_prefix', '/apps/proxy');
+  signed.searchParams.set('timestamp', String(Math.floor(Date.now() / 1000)));
+  signed.searchParams.delete('signature');
+
+  // App proxy signatures cover the sorted query without separators
+  const message = [...signed.searchParams.keys()]
+    .filter((key, i, keys) => keys.indexOf(key) === i)
+    .sort()
+    .map(key => `${key}=${signed.searchParams.getAll(key).join(',')}`)
+    .join('');
+  signed.searchParams.set('signature', sign(message, process.env.SHOPIFY_API_SECRET, 'hex'));
+
+  return signed;
+}
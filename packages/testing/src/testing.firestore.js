@@ -0,0 +1,119 @@
+// Stands in for firebase-admin/firestore in test builds, covering the calls functions and models make
+const ALREADY_EXISTS = 6;
+const NOT_FOUND = 5;
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'in': (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+const documents = new Map();
+
+export const FieldValue = {
+  serverTimestamp: () => new Date()
+};
+
+export function getFirestore() {
+  return {
+    collection: (name) => collectionRef(name),
+    listCollections: async () => listCollections(''),
+    async recursiveDelete(ref) {
+      [...documents.keys()]
+        .filter(key => key === ref.path || key.startsWith(`${ref.path}/`))
+        .forEach(key => documents.delete(key));
+    }
+  };
+}
+
+export function resetFirestore() {
+  documents.clear();
+}
+
+function documentRef(path) {
+  return {
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+    listCollections: async () => listCollections(`${path}/`),
+    get: async () => snapshot(path),
+    async create(data) {
+      if (documents.has(path)) {
+        throw Object.assign(new Error(`Document already exists: ${path}`), { code: ALREADY_EXISTS });
+      }
+      documents.set(path, structuredClone(data));
+    },
+    async set(data, { merge = false } = {}) {
+      documents.set(path, structuredClone({ ...(merge && documents.get(path)), ...data }));
+    },
+    async update(data) {
+      if (!documents.has(path)) {
+        throw Object.assign(new Error(`No document to update: ${path}`), { code: NOT_FOUND });
+      }
+      documents.set(path, structuredClone({ ...documents.get(path), ...data }));
+    },
+    async delete() {
+      documents.delete(path);
+    }
+  };
+}
+
+function collectionRef(path, query = { filters: [], order: [], limit: Infinity }) {
+  const refine = (changes) => collectionRef(path, { ...query, ...changes });
+
+  return {
+    id: path.split('/').pop(),
+    path,
+    doc: (id = crypto.randomUUID().replaceAll('-', '').slice(0, 20)) => documentRef(`${path}/${id}`),
+    async add(data) {
+      const ref = this.doc();
+      await ref.set(data);
+      return ref;
+    },
+    where: (field, operator, value) => refine({ filters: [...query.filters, { field, operator, value }] }),
+    orderBy: (field, direction = 'asc') => refine({ order: [...query.order, { field, direction }] }),
+    limit: (limit) => refine({ limit }),
+    get: async () => runQuery(path, query),
+    count: () => ({
+      get: async () => {
+        const { size } = await runQuery(path, query);
+        return { data: () => ({ count: size }) };
+      }
+    })
+  };
+}
+
+function runQuery(path, { filters, order, limit }) {
+  const docs = [...documents.keys()]
+    .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+    .map(snapshot)
+    .filter(doc => filters.every(({ field, operator, value }) => OPERATORS[operator](doc.data()[field], value)))
+    .sort((a, b) => order.reduce((result, { field, direction }) => {
+      if (result !== 0 || a.data()[field] === b.data()[field]) return result;
+      return (a.data()[field] < b.data()[field] ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }, 0))
+    .slice(0, limit);
+
+  return { docs, size: docs.length, empty: docs.length === 0 };
+}
+
+function snapshot(path) {
+  return {
+    id: path.split('/').pop(),
+    ref: documentRef(path),
+    exists: documents.has(path),
+    data: () => documents.has(path) ? structuredClone(documents.get(path)) : undefined
+  };
+}
+
+function listCollections(prefix) {
+  // Collections only exist while they hold documents, same as Firestore
+  const names = [...documents.keys()]
+    .filter(key => key.startsWith(prefix))
+    .map(key => key.slice(prefix.length).split('/')[0]);
+
+  return [...new Set(names)].map(name => collectionRef(`${prefix}${name}`));
+}
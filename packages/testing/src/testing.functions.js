@@ -0,0 +1,7 @@
+// The apps deployed functions serve, without the Firebase triggers around them
+export { Session } from '@shopify/shopify-api';
+export { default as shopify } from '@ryziz-shopify/functions/src/functions.shopify.js';
+export { createApiApp, createProxyApp, createWebhooksApp } from '@ryziz-shopify/functions/src/functions.app.js';
+export { runBulkHandler } from '@ryziz-shopify/functions/src/functions.bulk.js';
+export { createStorageAdapter, createSessionStorage, createCookieStorage, migrateSessions } from '@ryziz-shopify/functions/src/functions.storage.js';
+export { resetFirestore } from './testing.firestore.js';
@@ -0,0 +1,24 @@
+import './testing.browser.js';
+import { renderToString } from 'react-dom/server';
+import { createStaticHandler, createStaticRouter, StaticRouterProvider } from 'react-router-dom';
+import createRoutes from '@ryziz-shopify/router/src/router.create.jsx';
+import routesConfig, { loading } from './routes.config.js';
+
+export async function renderRoute(url, { fetch, shop }) {
+  sessionStorage.setItem('shopify:shop', shop);
+
+  const handler = createStaticHandler(createRoutes(routesConfig, { fetch, loading }));
+  const context = await handler.query(new Request(url));
+
+  // Loaders and actions that redirect return the Response itself
+  if (context instanceof Response) {
+    return { status: context.status, headers: context.headers, html: '' };
+  }
+
+  const router = createStaticRouter(handler.dataRoutes, context);
+  return {
+    status: context.statusCode,
+    headers: new Headers(),
+    html: renderToString(<StaticRouterProvider router={router} context={context} hydrate={false} />)
+  };
+}